@@ -0,0 +1,2554 @@
+(function (exportObj, exportName, THREE) {
+    "use strict";
+
+    // Temporary buffers (for memory reuse + efficiency)
+    let buffers = {};
+    {
+        buffers.vec3 = [];
+        for (let i = 0; i < 16; i++)
+            buffers.vec3.push(new THREE.Vector3());
+
+        buffers.vec2 = [];
+        for (let i = 0; i < 16; i++)
+            buffers.vec2.push(new THREE.Vector2());
+
+    }
+
+    /**
+     * Continuity types of the knots (the corners shared by sub-patches)
+     */
+    const Continuity = {
+        // Independent handles
+        Corner: "corner",
+        // Collinear handles with independent lengths (G1)
+        Smooth: "smooth",
+        // Collinear handles with the same length (C1)
+        Symmetric: "symmetric"
+    }
+
+    /**
+     * Class to hold a grid (2d matrix) of objects.
+     * It has handy mehtods for manipulating rows and
+     * columns
+     */
+    class Grid {
+        /**
+         * @constructor
+         * @param {number} [rows] The initial number of rows
+         * @param {nunber} [cols] The initial number of columns
+         */
+        constructor(rows, cols) {
+            this.rowCount = rows || 1;
+            this.colCount = cols || 1;
+            this.cells = new Array(rows * cols).fill(null);
+        }
+        /**
+         * Iterate through the cells
+         */
+        [Symbol.iterator]() { return this.cells.values(); }
+
+        /**
+         * Applies the given function to all the cells
+         * @param {callback} predicate Function to apply
+         */
+        forEach(predicate) {
+            this.cells.forEach(predicate);
+        }
+        /**
+         * Returns the object at i-th row and j-th column
+         * @param {number} i Row index 
+         * @param {number} j Column index
+         * @returns {*} The item, or null if the cell is out of bounds
+         */
+        get(i, j) {
+            if (i < 0 || i > this.rowCount - 1 || j < 0 || j > this.colCount - 1)
+                return null;
+            return this.cells[i * this.colCount + j];
+        }
+        /**
+         * Sets the cell at i-th row and j-th column with the given value
+         * @param {number} i Row index
+         * @param {number} j Column index
+         * @param {*} v The value
+         */
+        set(i, j, v) {
+            this.cells[i * this.colCount + j] = v;
+        }
+
+        /**
+         * Deletes a column
+         * @param {number} j Column index 
+         */
+        deleteColumn(j) {
+            for (let i = this.rowCount - 1; i >= 0; i--)
+                this.cells.splice(i * this.colCount + j, 1);
+            this.colCount--;
+        }
+
+        /**
+         * Deletes a row
+         * @param {number} i The row index 
+         */
+        deleteRow(i) {
+            this.cells.splice(i * this.colCount, this.colCount);
+            this.rowCount--;
+        }
+
+        /**
+         * Get the rows as an array
+         * @returns {array} The rows
+         */
+        rows() {
+            let rows = [];
+
+            for (let i = 0; i < this.rowCount; i++) {
+                let row = [];
+                for (let j = 0; j < this.colCount; j++) {
+                    row.push(this.cells[i * this.colCount + j]);
+                }
+                rows.push(row);
+            }
+            return rows;
+        }
+
+        /**
+         * Inserts a new row
+         * @param {number} index The index to insert at
+         */
+        inserRow(index) {
+            this.cells.splice(index * this.colCount, 0, ...new Array(this.colCount).fill(null));
+            this.rowCount++;
+        }
+
+        /**
+         * Inserts a new column
+         * @param {number} index The index to insert at
+         */
+        insertColumn(index) {
+            for (let i = 0; i < this.rowCount; i++)
+                this.cells.splice(i * (this.colCount + 1) + index, 0, null);
+            this.colCount++;
+        }
+
+        /**
+         * Get the columns as an array
+         * @returns {array} The columns
+         */
+        columns() {
+            let cols = [];
+
+            for (let j = 0; j < this.colCount; j++) {
+                let col = [];
+                for (let i = 0; i < this.rowCount; i++) {
+                    col.push(this.cells[i * this.colCount + j]);
+                }
+                cols.push(col);
+            }
+
+            return cols;
+
+        }
+    }
+
+    /**
+     * Utility functions
+     */
+    class Util {
+
+
+
+        /**
+         * Computes a weighted average of the given vector array
+         * @private
+         * @param {THREE.Vector3[]} p The points
+         * @param {number[]} w The weights
+         * @param {number} [f] Global factor
+         */
+        static weightedAverage(p, w, f) {
+            if (p.length != w.length)
+                throw new Error("weightedAverage(): invalid parameters");
+
+            f = f || 1;
+
+            let vRes = buffers.vec3[0].set(0, 0, 0);
+            for (let i = 0; i < p.length; i++) {
+                vRes.add(buffers.vec3[1].copy(p[i]).multiplyScalar(w[i]));
+            }
+
+            return vRes.multiplyScalar(f);
+        }
+
+        /**
+         * Constructs an array of the given length and fills it with
+         * objects created with the given constructor function
+         * @param {number} size Size of the new array
+         * @param {function} ctor The constructor function
+         * @param  {...any} args The parameters for the constructor
+         */
+        static makeArray(size, ctor, ...args) {
+            let r = new Array(size);
+            for (let i = 0; i < size; i++)
+                r[i] = new ctor(...args);
+            return r;
+        }
+
+        /**
+         * Computes the Bernstein derivative of grade 3
+         * @param {number} i Index
+         * @param {number} t Curve parameter
+         * @returns {number} The derivative
+         */
+        static computeBernsetinDerivative3(i, t) {
+            let tt = t * t;
+            let mt = 1 - t;
+            let mtt = mt * mt;
+            switch (i) {
+                case 0:
+                    return - 3 * mtt;
+                case 1:
+                    return 3 * (t - 1) * (3 * t - 1);
+                case 2:
+                    return 6 * t - 9 * tt;
+                case 3:
+                    return 3 * tt;
+                default:
+                    throw new Error("Invalid index for B3': " + i);
+            }
+        }
+
+        /**
+         * Computes the Bernsetin polinomial of grade 3
+         * @param {number} i Index 
+         * @param {number} t Curve parameter
+         * @returns {number} The value
+         */
+        static computeBernsteinBasis3(i, t) {
+            let tt = t * t;
+            let ttt = tt * t;
+            let mt = 1 - t;
+            let mtt = mt * mt;
+            let mttt = mtt * mt;
+            switch (i) {
+                case 0:
+                    return mttt;
+                case 1:
+                    return 3 * t * mtt;
+                case 2:
+                    return 3 * tt * mt;
+                case 3:
+                    return ttt;
+                default:
+                    throw new Error("Invalid index for B3: " + i);
+            }
+        }
+
+        /**
+         * Encodes RGBA pixels as a PNG file. Image data is stored with uncompressed
+         * deflate blocks, so no compression library is needed
+         * @param {number} width The image width
+         * @param {number} height The image height
+         * @param {ArrayLike<number>} data The RGBA pixels, row by row from the top
+         * @returns {Uint8Array} The PNG file data
+         */
+        static encodePNG(width, height, data) {
+
+            let crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++)
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+
+            let crc32 = (bytes) => {
+                let c = 0xffffffff;
+                for (let i = 0; i < bytes.length; i++)
+                    c = crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+                return (c ^ 0xffffffff) >>> 0;
+            }
+
+            // Raw scanlines, each prefixed with filter type 0
+            let stride = width * 4 + 1;
+            let raw = new Uint8Array(stride * height);
+            for (let y = 0; y < height; y++) {
+                raw[y * stride] = 0;
+                for (let i = 0; i < width * 4; i++)
+                    raw[y * stride + 1 + i] = data[y * width * 4 + i];
+            }
+
+            // Zlib stream made of stored blocks
+            let blockCount = Math.max(1, Math.ceil(raw.length / 65535));
+            let zlib = new Uint8Array(2 + raw.length + blockCount * 5 + 4);
+            let pos = 0;
+            zlib[pos++] = 0x78;
+            zlib[pos++] = 0x01;
+            for (let b = 0; b < blockCount; b++) {
+                let start = b * 65535;
+                let len = Math.min(65535, raw.length - start);
+                zlib[pos++] = b === blockCount - 1 ? 1 : 0;
+                zlib[pos++] = len & 0xff;
+                zlib[pos++] = len >>> 8;
+                zlib[pos++] = ~len & 0xff;
+                zlib[pos++] = (~len >>> 8) & 0xff;
+                zlib.set(raw.subarray(start, start + len), pos);
+                pos += len;
+            }
+
+            let a = 1, b = 0;
+            for (let i = 0; i < raw.length; i++) {
+                a = (a + raw[i]) % 65521;
+                b = (b + a) % 65521;
+            }
+            let adler = ((b << 16) | a) >>> 0;
+            zlib[pos++] = adler >>> 24;
+            zlib[pos++] = (adler >>> 16) & 0xff;
+            zlib[pos++] = (adler >>> 8) & 0xff;
+            zlib[pos++] = adler & 0xff;
+
+            let chunk = (type, payload) => {
+                let out = new Uint8Array(payload.length + 12);
+                let view = new DataView(out.buffer);
+                view.setUint32(0, payload.length);
+                for (let i = 0; i < 4; i++)
+                    out[4 + i] = type.charCodeAt(i);
+                out.set(payload, 8);
+                view.setUint32(payload.length + 8, crc32(out.subarray(4, payload.length + 8)));
+                return out;
+            }
+
+            let header = new Uint8Array(13);
+            let headerView = new DataView(header.buffer);
+            headerView.setUint32(0, width);
+            headerView.setUint32(4, height);
+            header[8] = 8; // Bit depth
+            header[9] = 6; // Color type RGBA
+
+            let chunks = [
+                new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+                chunk("IHDR", header),
+                chunk("IDAT", zlib),
+                chunk("IEND", new Uint8Array(0))
+            ];
+
+            let result = new Uint8Array(chunks.reduce((l, c) => l + c.length, 0));
+            chunks.reduce((offset, c) => (result.set(c, offset), offset + c.length), 0);
+
+            return result;
+        }
+
+        /**
+         * Applies the deCasteljau algorithm to the given set of points
+         * @param {number} t Curve parameter 
+         * @param  {...THREE.Vector3} points The points
+         * @returns {THREE.Vector3} The computed point 
+         */
+        static deCasteljau(t, ...points) {
+            let result = [];
+            for (let i = 0; i < points.length - 1; i++) {
+                result.push(new THREE.Vector3().copy(points[i]).lerp(points[i + 1], t));
+            }
+            return result;
+        }
+
+        /**
+         * Computes the homography (projective map) taking the unit square to a quadrilateral:
+         * (s, t) maps to ((a s + b t + c) / w, (d s + e t + f) / w, (k s + l t + m) / w) with w = g s + h t + 1.
+         * The same weights are used for z.
+         * @param {THREE.Vector3} p0 The image of (0, 0)
+         * @param {THREE.Vector3} p1 The image of (1, 0)
+         * @param {THREE.Vector3} p2 The image of (1, 1)
+         * @param {THREE.Vector3} p3 The image of (0, 1)
+         * @returns {number[]} The coefficients [a, b, c, d, e, f, k, l, m, g, h], or null if the points
+         * don't form a convex quadrilateral
+         */
+        static homography(p0, p1, p2, p3) {
+            let sx = p0.x - p1.x + p2.x - p3.x;
+            let sy = p0.y - p1.y + p2.y - p3.y;
+            let g = 0, h = 0;
+
+            // A parallelogram maps with an affine transform, otherwise solve for the projective terms
+            if (sx !== 0 || sy !== 0) {
+                let dx1 = p1.x - p2.x, dx2 = p3.x - p2.x;
+                let dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+                let det = dx1 * dy2 - dx2 * dy1;
+
+                if (det === 0)
+                    return null;
+
+                g = (sx * dy2 - dx2 * sy) / det;
+                h = (dx1 * sy - sx * dy1) / det;
+            }
+
+            // w must stay positive over the whole square, i.e. at the 4 corners
+            if (1 + g <= 0 || 1 + h <= 0 || 1 + g + h <= 0)
+                return null;
+
+            return [
+                p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+                p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+                p1.z - p0.z + g * p1.z, p3.z - p0.z + h * p3.z, p0.z,
+                g, h
+            ];
+        }
+
+        /**
+         * Tests whether a point lies inside a polygon (even-odd rule)
+         * @param {THREE.Vector2} point The point
+         * @param {THREE.Vector2[]} polygon The vertices of the polygon
+         * @returns {boolean} true if the point is inside
+         */
+        static pointInPolygon(point, polygon) {
+            let inside = false;
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                let [a, b] = [polygon[i], polygon[j]];
+                if ((a.y > point.y) !== (b.y > point.y) &&
+                    point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x)
+                    inside = !inside;
+            }
+            return inside;
+        }
+
+        /**
+         * Makes a transform matrix apply around a pivot point
+         * @param {THREE.Vector3} pivot The pivot point
+         * @param {THREE.Matrix4} matrix The transform around the origin
+         * @returns {THREE.Matrix4} The transform around the pivot
+         */
+        static pivotMatrix(pivot, matrix) {
+            return new THREE.Matrix4()
+                .makeTranslation(pivot.x, pivot.y, pivot.z)
+                .multiply(matrix)
+                .multiply(new THREE.Matrix4().makeTranslation(-pivot.x, -pivot.y, -pivot.z));
+        }
+
+        /**
+         * Subdivides a curve into 2 curves.
+         * @param {*} t Curve parameter 
+         * @param  {...THREE.Vector3} points The points of the curve
+         * @returns {[Vector3[], Vector3[]]} 2 arrays of points containing the 2 curves
+         */
+        static subdivideCurve(t, ...points) {
+
+            points = points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+
+            let c0 = [points[0].clone()];
+            let c1 = [points[points.length - 1].clone()];
+
+            let done = false;
+
+            while (!done) {
+                points = this.deCasteljau(t, ...points);
+
+                c0.push(points[0].clone());
+                c1.splice(0, 0, points[points.length - 1].clone());
+
+                done = points.length === 1;
+
+            }
+
+            return [c0, c1];
+
+        }
+
+        /**
+         * Joins 2 consecutive curves into a single one, the inverse of subdivideCurve(). The end points are kept and
+         * the inner points are fitted by least squares, so curves that come from a subdivision are joined exactly.
+         * @param {number} t The curve parameter of the joint
+         * @param {THREE.Vector3[]} first The points of the first curve
+         * @param {THREE.Vector3[]} second The points of the second curve
+         * @returns {THREE.Vector3[]} The points of the joined curve
+         */
+        static joinCurves(t, first, second) {
+            let curves = [new BezierCurve3(...first), new BezierCurve3(...second)];
+            let p0 = new THREE.Vector3().copy(first[0]);
+            let p3 = new THREE.Vector3().copy(second[3]);
+
+            // Normal equations of the 2 unknown points
+            let a11 = 0, a12 = 0, a22 = 0;
+            let r1 = new THREE.Vector3();
+            let r2 = new THREE.Vector3();
+
+            let samples = 32;
+            for (let k = 0; k <= samples; k++) {
+                let s = k / samples;
+                let q = s <= t ? curves[0].compute(s / t).clone() : curves[1].compute((s - t) / (1 - t)).clone();
+
+                let [b0, b1, b2, b3] = [0, 1, 2, 3].map(i => Util.computeBernsteinBasis3(i, s));
+                q.addScaledVector(p0, -b0).addScaledVector(p3, -b3);
+
+                a11 += b1 * b1;
+                a12 += b1 * b2;
+                a22 += b2 * b2;
+                r1.addScaledVector(q, b1);
+                r2.addScaledVector(q, b2);
+            }
+
+            let det = a11 * a22 - a12 * a12;
+            let p1 = r1.clone().multiplyScalar(a22).addScaledVector(r2, -a12).divideScalar(det);
+            let p2 = r2.clone().multiplyScalar(a11).addScaledVector(r1, -a12).divideScalar(det);
+
+            return [p0, p1, p2, p3];
+        }
+
+    }
+
+    /**
+     * A Bezier curve of grade 3
+     */
+    class BezierCurve3 {
+        /**
+         * @constructor
+         * @param  {...THREE.Vector3} pts The points
+         */
+        constructor(...pts) {
+            if (pts.length !== 4)
+                throw new Error("4 points are required for a bezier curve");
+            this.points = pts;
+        }
+        /**
+         * Computes the curve derivative
+         * @param {number} t The curve parameter
+         * @returns {THREE.Vector3} The result
+         */
+        derivative(t) {
+            let result = buffers.vec3[0].set(0, 0, 0);
+            let v = buffers.vec3[1];
+
+            for (let i = 0; i < this.points.length; i++)
+                result.add(v.copy(this.points[i]).multiplyScalar(Util.computeBernsetinDerivative3(i, t)));
+
+            return result;
+        }
+
+        /**
+         * Computes the curve at the given point
+         * @param {number} t The curve parameter
+         * @returns The calculated curve
+         */
+        compute(t) {
+            let result = buffers.vec3[0].set(0, 0, 0);
+            let v = buffers.vec3[1];
+
+            for (let i = 0; i < this.points.length; i++)
+                result.add(v.copy(this.points[i]).multiplyScalar(Util.computeBernsteinBasis3(i, t)));
+
+            return result;
+        }
+        /**
+         * Subdivides this curve into 2 curves
+         * @param {number} t The curve parameter 
+         * @returns {BezierCurve3[2]} The resulting 2 curves
+         */
+        subdivide(t) {
+            return Util.subdivideCurve(t, ...this.points).map(v => new BezierCurve3(...v));
+        }
+
+    }
+
+    /**
+     * Defines a 2d domain for a patch
+     */
+    class Domain {
+        /**
+         * @constructor
+         * @param {number} u0 Min u
+         * @param {number} v0 Min V
+         * @param {number} u1 Max U
+         * @param {number} v1 Max V
+         */
+        constructor(u0, v0, u1, v1) {
+            this.u0 = u0;
+            this.u1 = u1;
+            this.v0 = v0;
+            this.v1 = v1;
+        }
+
+        /**
+         * Checks if a point is contained in this domain
+         * @param {number} u 
+         * @param {number} v
+         * @returns {boolean} true if the point is included in the domain, false otherwise 
+         */
+        contains(u, v) {
+            return u >= this.u0 && u <= this.u1 && v >= this.v0 && v <= this.v1;
+        }
+    }
+
+    /**
+     * A control point of a bezier patch. This is a plain point with no UI attached:
+     * view layers can extend it to add their own representation.
+     */
+    class ControlPoint extends THREE.Vector3 {
+
+        /**
+         * @constructor
+         * @param {number} [x] The x oordinate
+         * @param {number} [y] The y coordinate
+         * @param {number} [z] The z coordinate
+         */
+        constructor(x, y, z) {
+            super(x, y, z);
+            this.mirrorPoint = null;
+            this.continuity = Continuity.Corner;
+
+            // Locked points can't be selected or moved, hidden ones are not shown
+            this.locked = false;
+            this.hidden = false;
+        }
+
+        /**
+         * Sets this control point to mirror another control point
+         * @param {ControlPoint} other The point to mirror
+         * @param {ControlPoint} reference The reference point for mirroring
+         */
+        mirror(other, reference) {
+            if (other && reference) {
+                this.mirrorPoint = {
+                    other: other,
+                    reference: reference
+                }
+            } else {
+                this.mirrorPoint = null;
+            }
+        }
+
+        /**
+         * Moves this control point by the given offset. The mirrored point follows according to
+         * the continuity of the reference knot
+         * @param {THREE.Vector3} offset The offset
+         * @param {boolean} mirror Is mirror active? The mirrored point is then kept symmetric whatever the continuity
+         */
+        moveBy(offset, mirror) {
+            this.add(offset);
+            this.constrainMirror(mirror);
+        }
+
+        /**
+         * Moves the mirrored point to keep the continuity of the reference knot with this point
+         * @param {boolean} [mirror] Keep the mirrored point symmetric whatever the continuity
+         */
+        constrainMirror(mirror) {
+            let m = this.mirrorPoint;
+            if (!m || m.other.locked)
+                return;
+
+            let continuity = mirror ? Continuity.Symmetric : m.reference.continuity;
+            let offset = buffers.vec3[0].copy(m.reference).sub(this);
+
+            if (continuity === Continuity.Smooth) {
+                if (offset.lengthSq() === 0)
+                    return;
+                offset.setLength(m.other.distanceTo(m.reference));
+            } else if (continuity !== Continuity.Symmetric) {
+                return;
+            }
+
+            m.other.copy(m.reference).add(offset);
+        }
+
+        /**
+         * Updates this control point. Does nothing by default
+         */
+        update() { }
+
+        /**
+         * Releases the resources associated with this control point. Does nothing by default
+         */
+        dispose() { }
+
+        /**
+         * Clone this control point
+         * @returns {ControlPoint} A new control point equal to this
+         */
+        clone() {
+            return new this.constructor(this.x, this.y, this.z);
+        }
+
+        /**
+         * @returns {THREE.Vector3} A vector with the same position as this control point
+         */
+        toVector3() {
+            return new THREE.Vector3(this.x, this.y, this.z);
+        }
+
+    }
+
+    /**
+     * Error thrown when restoring malformed saved data
+     */
+    class FormatError extends Error {
+        /**
+         * @constructor
+         * @param {string} message The error message
+         * @param {string[]} errors The list of problems found in the data
+         */
+        constructor(message, errors) {
+            super(message + ":\n" + errors.join("\n"));
+            this.name = "FormatError";
+            this.errors = errors;
+        }
+    }
+
+    /**
+     * A composite patch
+     */
+    class Patch {
+        /**
+         * @constructor
+         */
+        constructor() {
+            this.dispose();
+        }
+
+        /**
+         * Creates a new control point for this patch. Subclasses can override this
+         * to create control points with a different representation
+         * @param {number} [x] The x coordinate
+         * @param {number} [y] The y coordinate
+         * @param {number} [z] The z coordinate
+         * @returns {ControlPoint} The new control point
+         */
+        createControlPoint(x, y, z) {
+            return new ControlPoint(x, y, z);
+        }
+
+        /**
+         * Creates a new control point from a THREE.Vector3
+         * @param {THREE.Vector3} point The point to copy the coordinates from
+         * @returns {ControlPoint} The new control point
+         */
+        createControlPointFromVector(point) {
+            return this.createControlPoint(point.x, point.y, point.z);
+        }
+
+        /**
+         * Initializes this patch with a single bicubic bezier patch given
+         * the 4 corners. The other control points are interpolated
+         * @param {THREE.Vector3} topLeft Top left corner
+         * @param {THREE.Vector3} topRight Top right corner
+         * @param {THREE.Vector3} bottomLeft Bottom left corner
+         * @param {THREE.Vector3} bottomRight Bottom right corner
+         */
+        initFromCorners(topLeft, topRight, bottomLeft, bottomRight) {
+
+            let cp = Array.from({ length: 16 }, () => this.createControlPoint());
+
+            cp[12].copy(topLeft);
+            cp[15].copy(topRight)
+            cp[0].copy(bottomLeft)
+            cp[3].copy(bottomRight);
+
+            // Autocompute outline CPS
+            cp[1].copy(cp[0]).lerp(cp[3], 1 / 3);
+            cp[2].copy(cp[0]).lerp(cp[3], 2 / 3);
+
+            cp[4].copy(cp[0]).lerp(cp[12], 1 / 3);
+            cp[8].copy(cp[0]).lerp(cp[12], 2 / 3);
+
+            cp[13].copy(cp[12]).lerp(cp[15], 1 / 3);
+            cp[14].copy(cp[12]).lerp(cp[15], 2 / 3);
+
+            cp[7].copy(cp[3]).lerp(cp[15], 1 / 3);
+            cp[11].copy(cp[3]).lerp(cp[15], 2 / 3);
+
+
+            // Auto compute mid points
+            cp[5].copy(cp[4]).lerp(cp[7], 1 / 3);
+            cp[6].copy(cp[4]).lerp(cp[7], 2 / 3);
+            cp[9].copy(cp[8]).lerp(cp[11], 1 / 3);
+            cp[10].copy(cp[8]).lerp(cp[11], 2 / 3);
+
+            this.dispose();
+
+            let initialBezierPatch = new BezierPatch3(new Domain(0, 0, 1, 1), cp);
+            this.bezierPatches = new Grid(1, 1);
+            this.bezierPatches.set(0, 0, initialBezierPatch);
+
+            this.relinkControlPoints();
+
+        }
+
+        /**
+         * Initializes this patch with the visible side of a cylinder (a bottle or a mug label) seen from the
+         * given camera tilt. The cylinder is orthographically projected: its circular sections become ellipses
+         * whose minor axis lies along the cylinder axis. The arc is split in columns of at most maxArc degrees, each
+         * one a cubic approximation of the projected arc, and the u coordinate is proportional to the angle, so the
+         * texture is foreshortened towards the edges.
+         * @param {object} options
+         * @param {THREE.Vector2|THREE.Vector3} options.bottom Bottom point of the axis (bottom of the wrapped area)
+         * @param {THREE.Vector2|THREE.Vector3} options.top Top point of the axis (top of the wrapped area)
+         * @param {number} options.radius The apparent radius (half the width of the cylinder)
+         * @param {number} [options.startAngle=-60] Start of the visible arc in degrees (0 faces the camera)
+         * @param {number} [options.endAngle=60] End of the visible arc in degrees
+         * @param {number} [options.tilt=0] Camera tilt in degrees. Positive values look down on the cylinder
+         * @param {number} [options.maxArc=30] Maximum arc in degrees covered by a single sub-patch
+         */
+        initFromCylinder(options) {
+            let startAngle = options.startAngle !== undefined ? options.startAngle : -60;
+            let endAngle = options.endAngle !== undefined ? options.endAngle : 60;
+            let tilt = options.tilt || 0;
+            let maxArc = options.maxArc || 30;
+            let radius = options.radius;
+
+            if (!(radius > 0))
+                throw new Error("Invalid cylinder radius: " + radius);
+            if (!(endAngle > startAngle))
+                throw new Error("The cylinder end angle must be greater than the start angle");
+
+            let bottom = new THREE.Vector3(options.bottom.x, options.bottom.y, 0);
+            let top = new THREE.Vector3(options.top.x, options.top.y, 0);
+
+            let axis = top.clone().sub(bottom);
+            if (axis.lengthSq() === 0)
+                throw new Error("The cylinder axis has no length");
+
+            // Sections are circles of radius 1 in the (side, depth) plane, projected on screen
+            // as side * radius * normal - depth * squash * axisDir
+            let axisDir = axis.clone().normalize();
+            let normal = new THREE.Vector3(axisDir.y, -axisDir.x, 0);
+            let squash = radius * Math.sin(tilt * Math.PI / 180);
+
+            let project = (side, depth) => normal.clone().multiplyScalar(side * radius)
+                .addScaledVector(axisDir, -depth * squash);
+
+            let cols = Math.ceil((endAngle - startAngle) / maxArc);
+            let span = (endAngle - startAngle) / cols * Math.PI / 180;
+
+            // Tangent length of the cubic approximation of a circular arc
+            let k = 4 / 3 * Math.tan(span / 4);
+
+            this.dispose();
+            this.bezierPatches = new Grid(1, cols);
+
+            let left = null;
+            for (let j = 0; j < cols; j++) {
+                let a0 = startAngle * Math.PI / 180 + j * span;
+                let a1 = a0 + span;
+
+                let arc = [
+                    project(Math.sin(a0), Math.cos(a0)),
+                    project(Math.sin(a0) + k * Math.cos(a0), Math.cos(a0) - k * Math.sin(a0)),
+                    project(Math.sin(a1) - k * Math.cos(a1), Math.cos(a1) + k * Math.sin(a1)),
+                    project(Math.sin(a1), Math.cos(a1))
+                ];
+
+                let cp = new Array(16);
+                for (let row = 0; row < 4; row++) {
+                    for (let col = 0; col < 4; col++) {
+                        // The boundary column is shared with the previous sub-patch
+                        if (col === 0 && left) {
+                            cp[row * 4] = left.controlPoints[row * 4 + 3];
+                            continue;
+                        }
+                        cp[row * 4 + col] = this.createControlPointFromVector(
+                            bottom.clone().addScaledVector(axis, row / 3).add(arc[col]));
+                    }
+                }
+
+                left = new BezierPatch3(new Domain(j / cols, 0, (j + 1) / cols, 1), cp);
+                this.bezierPatches.set(0, j, left);
+            }
+
+            this.relinkControlPoints();
+        }
+
+        /**
+         * Rotates the control points around the z axis. Locked points don't move
+         * @param {THREE.Vector3} pivot The center of the rotation
+         * @param {number} angle The angle in radians (counterclockwise)
+         */
+        rotateZ(pivot, angle) {
+            this.applyMatrix(Util.pivotMatrix(pivot, new THREE.Matrix4().makeRotationZ(angle)));
+        }
+
+        /**
+         * Scales the control points around a pivot. Locked points don't move
+         * @param {THREE.Vector3} pivot The center of the scaling
+         * @param {number} sx The x scale factor
+         * @param {number} [sy] The y scale factor (sx by default, for a uniform scaling)
+         */
+        scale(pivot, sx, sy) {
+            this.applyMatrix(Util.pivotMatrix(pivot, new THREE.Matrix4().makeScale(sx, sy === undefined ? sx : sy, 1)));
+        }
+
+        /**
+         * Skews the control points around a pivot: x' = x + kx * (y - pivot.y) and y' = y + ky * (x - pivot.x).
+         * Locked points don't move
+         * @param {THREE.Vector3} pivot The pivot, which doesn't move
+         * @param {number} kx The horizontal skew factor
+         * @param {number} [ky] The vertical skew factor (0 by default)
+         */
+        skew(pivot, kx, ky) {
+            let matrix = new THREE.Matrix4().set(
+                1, kx, 0, 0,
+                ky || 0, 1, 0, 0,
+                0, 0, 1, 0,
+                0, 0, 0, 1
+            );
+            this.applyMatrix(Util.pivotMatrix(pivot, matrix));
+        }
+
+        /**
+         * Applies a transform to the control points. Locked points don't move
+         * @param {THREE.Matrix4} matrix The transform matrix
+         */
+        applyMatrix(matrix) {
+            for (let p of this.allControlPoints)
+                if (!p.locked)
+                    p.applyMatrix4(matrix);
+        }
+
+        /**
+         * Moves the control points by the given offset. Locked points don't move
+         * @param {THREE.Vector3} offset The offset
+         */
+        translate(offset) {
+            for (let p of this.allControlPoints)
+                if (!p.locked)
+                    p.add(offset);
+        }
+
+        /**
+         * Returns the positions of the inner cuts of this patch
+         * @returns {{u: number[], v: number[]}} The u coordinates of the vertical cuts and the v coordinates of the horizontal ones
+         */
+        cuts() {
+            let grid = this.bezierPatches;
+            return {
+                u: Array.from({ length: grid.colCount - 1 }, (_, j) => grid.get(0, j).domain.u1),
+                v: Array.from({ length: grid.rowCount - 1 }, (_, i) => grid.get(i, 0).domain.v1)
+            };
+        }
+
+        /**
+         * Returns the knots on a cut line, including the ones on the boundary of the patch
+         * @param {{u: number}|{v: number}} cut The vertical cut nearest to u, or the horizontal cut nearest to v
+         * @returns {ControlPoint[]} The knots, from bottom to top or from left to right. Empty if the patch has no cut
+         * in that direction
+         */
+        knotsOnCut(cut) {
+            let grid = this.bezierPatches;
+            let vertical = cut.u !== undefined;
+            let positions = this.cuts()[vertical ? "u" : "v"];
+            if (positions.length === 0)
+                return [];
+
+            let target = vertical ? cut.u : cut.v;
+            let index = positions.reduce((best, p, i) => Math.abs(p - target) < Math.abs(positions[best] - target) ? i : best, 0);
+
+            let knots = [];
+            if (vertical) {
+                for (let i = 0; i < grid.rowCount; i++)
+                    knots.push(grid.get(i, index).controlPoints[3]);
+                knots.push(grid.get(grid.rowCount - 1, index).controlPoints[15]);
+            } else {
+                for (let j = 0; j < grid.colCount; j++)
+                    knots.push(grid.get(index, j).controlPoints[12]);
+                knots.push(grid.get(index, grid.colCount - 1).controlPoints[15]);
+            }
+            return knots;
+        }
+
+        /**
+         * Returns the control points of a row of sub-patches
+         * @param {number} i The row index (0 is the bottom row)
+         * @returns {ControlPoint[]} The control points
+         */
+        rowPoints(i) {
+            return this.uniquePoints(this.bezierPatches.rows()[i] || []);
+        }
+
+        /**
+         * Returns the control points of a column of sub-patches
+         * @param {number} j The column index (0 is the left column)
+         * @returns {ControlPoint[]} The control points
+         */
+        columnPoints(j) {
+            return this.uniquePoints(this.bezierPatches.columns()[j] || []);
+        }
+
+        /**
+         * Returns the control points on the boundary of the patch: the outline knots and the handles along it
+         * @returns {ControlPoint[]} The control points
+         */
+        boundaryPoints() {
+            let grid = this.bezierPatches;
+            let points = [];
+            let add = (p, indices) => indices.forEach(k => points.includes(p.controlPoints[k]) || points.push(p.controlPoints[k]));
+
+            for (let j = 0; j < grid.colCount; j++) {
+                add(grid.get(0, j), [0, 1, 2, 3]);
+                add(grid.get(grid.rowCount - 1, j), [12, 13, 14, 15]);
+            }
+            for (let i = 0; i < grid.rowCount; i++) {
+                add(grid.get(i, 0), [0, 4, 8, 12]);
+                add(grid.get(i, grid.colCount - 1), [3, 7, 11, 15]);
+            }
+            return points;
+        }
+
+        /**
+         * Returns the 4 interior handles of a sub-patch, which don't lie on its outline
+         * @param {number} i The row index
+         * @param {number} j The column index
+         * @returns {ControlPoint[]} The control points, or an empty array if there is no such sub-patch
+         */
+        interiorPoints(i, j) {
+            let p = this.bezierPatches.get(i, j);
+            return p ? [5, 6, 9, 10].map(k => p.controlPoints[k]) : [];
+        }
+
+        /**
+         * Collects the control points of the given sub-patches, without duplicates
+         * @private
+         * @param {BezierPatch3[]} patches The sub-patches
+         * @returns {ControlPoint[]} The control points
+         */
+        uniquePoints(patches) {
+            let points = [];
+            for (let p of patches)
+                for (let c of p.controlPoints)
+                    if (!points.includes(c))
+                        points.push(c);
+            return points;
+        }
+
+        /**
+         * Returns the knots of this patch: the corners of the sub-patches, except the corners of the whole patch
+         * @returns {ControlPoint[]} The knots
+         */
+        knots() {
+            let grid = this.bezierPatches;
+            let corners = [
+                grid.get(0, 0).controlPoints[0],
+                grid.get(0, grid.colCount - 1).controlPoints[3],
+                grid.get(grid.rowCount - 1, 0).controlPoints[12],
+                grid.get(grid.rowCount - 1, grid.colCount - 1).controlPoints[15]
+            ];
+
+            let knots = [];
+            for (let p of grid)
+                for (let c of [p.controlPoints[0], p.controlPoints[3], p.controlPoints[12], p.controlPoints[15]])
+                    if (!corners.includes(c) && !knots.includes(c))
+                        knots.push(c);
+            return knots;
+        }
+
+        /**
+         * Returns the handles of a knot, by pairs of opposite handles
+         * @param {ControlPoint} knot The knot
+         * @returns {ControlPoint[][]} The pairs of handles
+         */
+        handlePairs(knot) {
+            let pairs = [];
+            for (let c of this.allControlPoints) {
+                let m = c.mirrorPoint;
+                if (m && m.reference === knot && !pairs.some(pair => pair.includes(c)))
+                    pairs.push([c, m.other]);
+            }
+            return pairs;
+        }
+
+        /**
+         * Sets the continuity of the given knots and aligns their handles accordingly. Points that are
+         * not knots (see knots()) are ignored, and so are the knots that are locked or have locked handles
+         * @param {"corner"|"smooth"|"symmetric"} continuity The continuity type
+         * @param {ControlPoint[]} points The knots
+         * @returns {ControlPoint[]} The knots that were changed
+         */
+        setContinuity(continuity, points) {
+            if (!Object.values(Continuity).includes(continuity))
+                throw new Error("Invalid continuity: " + continuity);
+
+            let knots = this.knots().filter(k => points.includes(k) &&
+                !k.locked && !this.handlePairs(k).some(pair => pair.some(h => h.locked)));
+            for (let knot of knots) {
+                knot.continuity = continuity;
+
+                for (let [a, b] of this.handlePairs(knot)) {
+                    let direction = new THREE.Vector3().subVectors(a, b);
+                    if (continuity === Continuity.Symmetric) {
+                        direction.multiplyScalar(0.5);
+                        a.copy(knot).add(direction);
+                        b.copy(knot).sub(direction);
+                    } else if (continuity === Continuity.Smooth && direction.lengthSq() > 0) {
+                        direction.normalize();
+                        let [la, lb] = [a.distanceTo(knot), b.distanceTo(knot)];
+                        a.copy(knot).addScaledVector(direction, la);
+                        b.copy(knot).addScaledVector(direction, -lb);
+                    }
+                }
+            }
+
+            return knots;
+        }
+
+        /**
+         * Returns the points moved by movePoints(): the given points and the handles of their smooth and symmetric
+         * knots, except the locked ones
+         * @param {ControlPoint[]} points The points to move
+         * @returns {ControlPoint[]} The points that move
+         */
+        movingPoints(points) {
+            let moving = new Set(points);
+            for (let p of points)
+                if (p.continuity !== Continuity.Corner)
+                    this.handlePairs(p).forEach(pair => pair.forEach(h => moving.add(h)));
+            return [...moving].filter(p => !p.locked);
+        }
+
+        /**
+         * Moves control points by the given offset, keeping the continuity of the knots: smooth and symmetric
+         * knots carry their handles along, and the handles opposite to the moved ones follow them. Locked points
+         * don't move
+         * @param {ControlPoint[]} points The points to move
+         * @param {THREE.Vector3} offset The offset
+         * @param {boolean} [mirror] Keep the opposite handles symmetric whatever the continuity
+         */
+        movePoints(points, offset, mirror) {
+            this.mapPoints(points, p => p.add(offset), mirror);
+        }
+
+        /**
+         * Moves control points to new positions computed from their current ones, keeping the continuity of the
+         * knots like movePoints: the handles of the smooth and symmetric knots are mapped along. Locked points
+         * don't move
+         * @param {ControlPoint[]} points The points to move
+         * @param {function(ControlPoint): THREE.Vector3} map Computes the new position of a point
+         * @param {boolean} [mirror] Keep the opposite handles symmetric whatever the continuity
+         */
+        mapPoints(points, map, mirror) {
+            let moving = new Set(this.movingPoints(points));
+
+            moving.forEach(p => p.copy(map(p)));
+
+            for (let p of moving)
+                if (p.mirrorPoint && !moving.has(p.mirrorPoint.other))
+                    p.constrainMirror(mirror);
+        }
+
+        /**
+         * Moves control points to the given positions, keeping the continuity of the knots like movePoints: the
+         * handles of the smooth and symmetric knots follow their knot. Locked points don't move
+         * @param {ControlPoint[]} points The points to move
+         * @param {THREE.Vector3[]} positions The new positions, in the same order as the points
+         */
+        movePointsTo(points, positions) {
+            let offsets = new Map(points.map((p, i) => [p, new THREE.Vector3().subVectors(positions[i], p)]));
+
+            for (let p of points)
+                if (p.continuity !== Continuity.Corner)
+                    for (let pair of this.handlePairs(p))
+                        pair.filter(h => !offsets.has(h)).forEach(h => offsets.set(h, offsets.get(p)));
+
+            this.mapPoints(points, p => p.add(offsets.get(p)));
+        }
+
+        /**
+         * Disposes the resources associated with this patch
+         */
+        dispose() {
+            if (this.bezierPatches)
+                this.bezierPatches.forEach(p => p.dispose());
+            this.bezierPatches = [];
+        }
+
+        /**
+         * Recreates all the links for all the control points.
+         */
+        relinkControlPoints() {
+
+            // Create unique array of control points (for performance purposes)
+            this.allControlPoints = []
+            for (let p of this.bezierPatches)
+                for (let c of p.controlPoints)
+                    if (!this.allControlPoints.includes(c))
+                        this.allControlPoints.push(c);
+
+
+            for (let p of this.bezierPatches) {
+                let cp = p.controlPoints;
+                cp.forEach(c => c.mirror(null, null));
+            }
+
+            for (let i = 0; i < this.bezierPatches.rowCount; i++) {
+                for (let j = 0; j < this.bezierPatches.colCount; j++) {
+                    let cur = this.bezierPatches.get(i, j);
+                    let left = this.bezierPatches.get(i, j - 1);
+                    let right = this.bezierPatches.get(i, j + 1);
+                    let bottom = this.bezierPatches.get(i - 1, j);
+                    let top = this.bezierPatches.get(i + 1, j);
+                    let cp = cur.controlPoints;
+
+                    if (left) {
+                        cp[1].mirror(left.controlPoints[2], cp[0]);
+                        cp[13].mirror(left.controlPoints[14], cp[12]);
+                    }
+
+                    if (right) {
+                        cp[2].mirror(right.controlPoints[1], cp[3]);
+                        cp[14].mirror(right.controlPoints[13], cp[15]);
+                    }
+
+                    if (bottom) {
+                        cp[4].mirror(bottom.controlPoints[8], cp[0]);
+                        cp[7].mirror(bottom.controlPoints[11], cp[3]);
+                    }
+
+                    if (top) {
+                        cp[8].mirror(top.controlPoints[4], cp[12]);
+                        cp[11].mirror(top.controlPoints[7], cp[15]);
+                    }
+
+                    if (!left && !bottom) {
+                        cp[1].mirror(cp[4], cp[0]);
+                        cp[4].mirror(cp[1], cp[0]);
+                    }
+
+                    if (!left && !top) {
+                        cp[8].mirror(cp[13], cp[12]);
+                        cp[13].mirror(cp[8], cp[12]);
+                    }
+
+                    if (!right && !top) {
+                        cp[14].mirror(cp[11], cp[15]);
+                        cp[11].mirror(cp[14], cp[15]);
+                    }
+
+                    if (!right && !bottom) {
+                        cp[2].mirror(cp[7], cp[3]);
+                        cp[7].mirror(cp[2], cp[3]);
+                    }
+                }
+            }
+
+        }
+
+        /**
+         * Serializes this patch data.
+         * @returns {object} The serialized patch
+         */
+        save() {
+
+            let ref = (p) => {
+                if (!p["$ref"] === undefined)
+                    throw new Error("Serialize error");
+                return p["$ref"];
+            }
+
+            let serialize = (o) => {
+                return JSON.parse(JSON.stringify(o));
+            }
+
+            // 1. Create control points reference + export data
+            let refCount = 0;
+            let controlPointsData = [];
+            this.bezierPatches.forEach(patch => {
+                for (let point of patch.controlPoints) {
+                    if (point["$ref"] === undefined) {
+                        point["$ref"] = refCount;
+                        let pointData = {
+                            x: point.x,
+                            y: point.y,
+                            z: point.z
+                        };
+                        if (point.continuity !== Continuity.Corner)
+                            pointData.continuity = point.continuity;
+                        if (point.locked)
+                            pointData.locked = true;
+                        if (point.hidden)
+                            pointData.hidden = true;
+                        controlPointsData.push(pointData);
+                        refCount++;
+                    }
+                }
+            });
+
+
+            // Assemble patch export data
+            let patchesData = [];
+            this.bezierPatches.forEach(patch => {
+                patchesData.push({
+                    controlPoints: patch.controlPoints.map(p => ref(p)),
+                    domain: serialize(patch.domain)
+                });
+            });
+
+
+            // Clear references
+            this.bezierPatches.forEach(p => p.controlPoints.forEach(c => delete c["$ref"]));
+
+            return {
+                rows: this.bezierPatches.rowCount,
+                cols: this.bezierPatches.colCount,
+                patches: patchesData,
+                controlPoints: controlPointsData
+            }
+
+        }
+
+        /**
+         * Checks serialized patch data (see save())
+         * @param {object} savedInstance The serialized patch data
+         * @param {string} [path] The name of the data in the error messages
+         * @returns {string[]} The problems found, empty if the data is valid
+         */
+        static validate(savedInstance, path = "patch") {
+            let errors = [];
+            let isNumber = (x) => typeof x === "number" && isFinite(x);
+            let isCount = (x) => Number.isInteger(x) && x > 0;
+            let epsilon = 1e-9;
+
+            if (!savedInstance || typeof savedInstance !== "object")
+                return [path + ": expected an object"];
+
+            let { rows, cols, patches, controlPoints } = savedInstance;
+
+            if (!isCount(rows))
+                errors.push(path + ".rows: expected a positive integer, got " + JSON.stringify(rows));
+            if (!isCount(cols))
+                errors.push(path + ".cols: expected a positive integer, got " + JSON.stringify(cols));
+            if (!Array.isArray(controlPoints))
+                errors.push(path + ".controlPoints: expected an array");
+            if (!Array.isArray(patches))
+                errors.push(path + ".patches: expected an array");
+
+            if (errors.length > 0)
+                return errors;
+
+            controlPoints.forEach((c, i) => {
+                for (let axis of ["x", "y", "z"]) {
+                    if (!c || !isNumber(c[axis]))
+                        errors.push(path + ".controlPoints[" + i + "]." + axis + ": expected a number, got " + JSON.stringify(c && c[axis]));
+                }
+                if (c && c.continuity !== undefined && !Object.values(Continuity).includes(c.continuity))
+                    errors.push(path + ".controlPoints[" + i + "].continuity: expected \"corner\", \"smooth\" or \"symmetric\", got " +
+                        JSON.stringify(c.continuity));
+                for (let flag of ["locked", "hidden"]) {
+                    if (c && c[flag] !== undefined && typeof c[flag] !== "boolean")
+                        errors.push(path + ".controlPoints[" + i + "]." + flag + ": expected a boolean, got " + JSON.stringify(c[flag]));
+                }
+            });
+
+            if (patches.length !== rows * cols) {
+                errors.push(path + ".patches: expected rows * cols = " + rows * cols + " patches, got " + patches.length);
+                return errors;
+            }
+
+            // Sub-patch i is at row floor(i / cols), column i % cols
+            let domains = [];
+            patches.forEach((patchData, i) => {
+                let name = path + ".patches[" + i + "]";
+
+                if (!patchData || !Array.isArray(patchData.controlPoints) || patchData.controlPoints.length !== 16) {
+                    errors.push(name + ".controlPoints: expected an array of 16 indices");
+                } else {
+                    patchData.controlPoints.forEach((x, j) => {
+                        if (!Number.isInteger(x) || x < 0 || x >= controlPoints.length)
+                            errors.push(name + ".controlPoints[" + j + "]: index " + JSON.stringify(x) +
+                                " is out of range (0-" + (controlPoints.length - 1) + ")");
+                    });
+                }
+
+                let d = patchData && patchData.domain;
+                if (!d || !["u0", "v0", "u1", "v1"].every(k => isNumber(d[k]))) {
+                    errors.push(name + ".domain: expected numeric u0, v0, u1 and v1");
+                } else if (d.u0 >= d.u1 || d.v0 >= d.v1) {
+                    errors.push(name + ".domain: empty domain [" + d.u0 + ", " + d.u1 + "] x [" + d.v0 + ", " + d.v1 + "]");
+                } else {
+                    domains[i] = d;
+                }
+            });
+
+            if (domains.filter(d => d).length !== patches.length)
+                return errors;
+
+            // Domains must tile the unit square: columns share u ranges, rows share v ranges,
+            // and consecutive ranges meet with no gap or overlap
+            let checkRanges = (count, along, get, min, max, label) => {
+                let prev = 0;
+                for (let k = 0; k < count; k++) {
+                    let first = get(k, 0);
+                    for (let m = 1; m < along; m++) {
+                        let d = get(k, m);
+                        if (Math.abs(d[min] - first[min]) > epsilon || Math.abs(d[max] - first[max]) > epsilon)
+                            errors.push(path + ": " + label + " " + k + " has inconsistent " + min + "/" + max + " domains");
+                    }
+
+                    if (first[min] > prev + epsilon)
+                        errors.push(path + ": gap in " + min + " before " + label + " " + k + " (" + prev + " to " + first[min] + ")");
+                    else if (first[min] < prev - epsilon)
+                        errors.push(path + ": " + label + " " + k + " overlaps the previous one (" + first[min] + " < " + prev + ")");
+                    prev = first[max];
+                }
+
+                if (Math.abs(prev - 1) > epsilon)
+                    errors.push(path + ": " + label + "s end at " + min.charAt(0) + " = " + prev + " instead of 1");
+            }
+
+            checkRanges(cols, rows, (col, row) => domains[row * cols + col], "u0", "u1", "column");
+            checkRanges(rows, cols, (row, col) => domains[row * cols + col], "v0", "v1", "row");
+
+            return errors;
+        }
+
+        /**
+         * Restores a serialized patch
+         * @param {object} savedInstance The serialized patch data
+         * @returns {Patch} This patch
+         * @throws {FormatError} If the data is malformed (see validate())
+         */
+        restore(savedInstance) {
+
+            let errors = Patch.validate(savedInstance);
+            if (errors.length > 0)
+                throw new FormatError("Invalid patch data", errors);
+
+            this.dispose();
+
+            // Create new grid
+            this.bezierPatches = new Grid(savedInstance.rows, savedInstance.cols);
+
+            // Create distinct control points array
+            let controlPoints = savedInstance.controlPoints.map(p => {
+                let c = this.createControlPoint(p.x, p.y, p.z);
+                c.continuity = p.continuity || Continuity.Corner;
+                c.locked = !!p.locked;
+                c.hidden = !!p.hidden;
+                return c;
+            });
+
+            // Restore patches
+            let i = 0;
+            for (let patchData of savedInstance.patches) {
+                let cps = patchData.controlPoints.map(x => controlPoints[x]);
+                let row = Math.floor(i / savedInstance.cols);
+                let col = i % savedInstance.cols;
+                this.bezierPatches.set(row, col, new BezierPatch3(
+                    new Domain(patchData.domain.u0, patchData.domain.v0, patchData.domain.u1, patchData.domain.v1),
+                    cps
+                ));
+                ++i;
+            }
+
+            this.relinkControlPoints();
+
+            return this;
+
+        }
+
+        /**
+         * Computes the value of this patch at the given coordinates
+         * @param {number} u The u coordinate
+         * @param {number} v The v coordinate
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @returns {THREE.Vector3} The value of the patch
+         */
+        compute(u, v, mode) {
+            for (let p of this.bezierPatches) {
+                if (p.domain.contains(u, v))
+                    return p.compute(u, v, mode);
+            };
+        }
+
+        /**
+         * Finds the coordinates of this patch that map to the given point
+         * @param {number} x The x coordinate of the point
+         * @param {number} y The y coordinate of the point
+         * @param {"bezier"|"linear"|"perspective"} [mode] The computation mode (default is "bezier")
+         * @returns {{ u: number, v: number, row: number, col: number, bezierPatch: BezierPatch3 }} The
+         * coordinates and the sub-patch containing the point, or null if the point is outside this patch
+         */
+        inverse(x, y, mode) {
+            mode = mode || "bezier";
+
+            for (let i = 0; i < this.bezierPatches.rowCount; i++) {
+                for (let j = 0; j < this.bezierPatches.colCount; j++) {
+                    let bezierPatch = this.bezierPatches.get(i, j);
+                    let result = bezierPatch.inverse(x, y, mode);
+                    if (result) {
+                        return {
+                            u: result.u,
+                            v: result.v,
+                            row: i,
+                            col: j,
+                            bezierPatch: bezierPatch
+                        };
+                    }
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Computes a regular lattice of surface coordinates
+         * @param {number} gridWidth The number of subdivisions in the x-direction
+         * @param {number} gridHeight The number of subdivisions in the y-direction
+         * @returns {{ u: number[], v: number[] }} The u and v coordinates of the lattice lines
+         */
+        uniformLattice(gridWidth, gridHeight) {
+            return {
+                u: Array.from({ length: gridWidth + 1 }, (e, i) => i / gridWidth),
+                v: Array.from({ length: gridHeight + 1 }, (e, i) => i / gridHeight)
+            };
+        }
+
+        /**
+         * Computes a lattice of surface coordinates that is fine enough for the
+         * tessellated surface to deviate from the real one by less than the given tolerance.
+         * The lattice is shared by the whole patch: each column of sub-patches gets the number of
+         * segments needed by its most curved sub-patch, and so does each row. A curved sub-patch
+         * therefore refines its whole column and row, but there are no cracks between sub-patches.
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @param {number} tolerance The maximum deviation, in world units
+         * @returns {{ u: number[], v: number[] }} The u and v coordinates of the lattice lines
+         */
+        adaptiveLattice(mode, tolerance) {
+            let lattice = { u: [], v: [] };
+
+            let segments = this.bezierPatches.cells.map(p => p.segmentCount(mode, tolerance));
+            let cols = this.bezierPatches.colCount;
+
+            this.bezierPatches.columns().forEach((col, j) => {
+                let { u0, u1 } = col[0].domain;
+                let n = Math.max(...col.map((p, i) => segments[i * cols + j].u));
+                for (let k = 0; k < n; k++)
+                    lattice.u.push(u0 + (u1 - u0) * k / n);
+            });
+
+            this.bezierPatches.rows().forEach((row, i) => {
+                let { v0, v1 } = row[0].domain;
+                let n = Math.max(...row.map((p, j) => segments[i * cols + j].v));
+                for (let k = 0; k < n; k++)
+                    lattice.v.push(v0 + (v1 - v0) * k / n);
+            });
+
+            lattice.u.push(1);
+            lattice.v.push(1);
+
+            return lattice;
+        }
+
+        /**
+         * Tessellates this patch into a regular grid of triangles
+         * @param {number} gridWidth The number of subdivisions in the x-direction
+         * @param {number} gridHeight The number of subdivisions in the y-direction
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @returns {{ positions: Float32Array, uvs: Float32Array, indices: Uint32Array }} The tessellated geometry
+         */
+        tessellate(gridWidth, gridHeight, mode) {
+            return this.tessellateLattice(this.uniformLattice(gridWidth, gridHeight), mode);
+        }
+
+        /**
+         * Tessellates this patch into triangles, subdividing each sub-patch until the
+         * given tolerance is met
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @param {number} tolerance The maximum deviation from the real surface, in world units
+         * @returns {{ positions: Float32Array, uvs: Float32Array, indices: Uint32Array }} The tessellated geometry
+         */
+        tessellateAdaptive(mode, tolerance) {
+            return this.tessellateLattice(this.adaptiveLattice(mode, tolerance), mode);
+        }
+
+        /**
+         * Tessellates this patch into triangles along the given lattice lines
+         * @param {{ u: number[], v: number[] }} lattice The u and v coordinates of the lattice lines
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @returns {{ positions: Float32Array, uvs: Float32Array, indices: Uint32Array }} The tessellated geometry
+         */
+        tessellateLattice(lattice, mode) {
+            let gw = lattice.u.length;
+            let gh = lattice.v.length;
+
+            let positions = new Float32Array(gw * gh * 3);
+            let uvs = new Float32Array(gw * gh * 2);
+            let indices = new Uint32Array((gw - 1) * (gh - 1) * 6);
+
+            for (let y = 0; y < gh; y++) {
+                for (let x = 0; x < gw; x++) {
+                    let idx = y * gw + x;
+                    let u = lattice.u[x];
+                    let v = lattice.v[y];
+                    let point = this.compute(u, v, mode);
+
+                    positions[idx * 3 + 0] = point.x;
+                    positions[idx * 3 + 1] = point.y;
+                    positions[idx * 3 + 2] = point.z;
+
+                    uvs[idx * 2 + 0] = u;
+                    uvs[idx * 2 + 1] = v;
+                }
+            }
+
+            let k = 0;
+            for (let y = 0; y < gh - 1; y++) {
+                for (let x = 0; x < gw - 1; x++) {
+                    let a = y * gw + x;
+                    let b = y * gw + x + 1;
+                    let c = (y + 1) * gw + x;
+                    let d = (y + 1) * gw + x + 1;
+
+                    indices[k++] = a; indices[k++] = b; indices[k++] = c;
+                    indices[k++] = b; indices[k++] = d; indices[k++] = c;
+                }
+            }
+
+            return { positions: positions, uvs: uvs, indices: indices };
+        }
+
+        /**
+         * Updates this patch
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         */
+        update(mode) {
+            this.bezierPatches.forEach(p => p.update(mode));
+        }
+
+        /**
+         * Subdivides this patch along the u coordinate
+         * @param {number} u The u coordinate
+         * @param {"bezier"|"linear"|"perspective"} [mode] The computation mode (default is "bezier")
+         */
+        subdivideVertical(u, mode = "bezier") {
+            let colIndex = this.bezierPatches.columns().findIndex(r => r[0].domain.u0 <= u && r[0].domain.u1 >= u);
+            let col = this.bezierPatches.columns()[colIndex];
+
+            // In perspective mode the new corners lie on the homographies rather than on the bezier net.
+            // Corners shared by two rows are taken from the upper one.
+            let corners = null;
+            if (mode === "perspective") {
+                corners = col.map(p => p.compute(u, p.domain.v0, mode).clone());
+                let top = col[col.length - 1];
+                corners.push(top.compute(u, top.domain.v1, mode).clone());
+            }
+
+            let leftPatches = [];
+            let rightPatches = [];
+
+
+            /* Subdivided curves
+                                cut point
+            d0 --------------------|--------------------- d1
+                                   |
+                                   |
+            c0 --------------------|--------------------- c1
+                                   |
+                                   |
+            b0 --------------------|--------------------- b1
+                                   |
+                                   |
+            a0 --------------------|--------------------- a1
+
+            */
+
+
+            for (let i = 0; i < this.bezierPatches.rowCount; i++) {
+
+                let cur = col[i];
+
+                let localU = (u - cur.domain.u0) / (cur.domain.u1 - cur.domain.u0);
+
+                let a = Util.subdivideCurve(localU, cur.controlPoints[0], cur.controlPoints[1], cur.controlPoints[2], cur.controlPoints[3]);
+                let b = Util.subdivideCurve(localU, cur.controlPoints[4], cur.controlPoints[5], cur.controlPoints[6], cur.controlPoints[7]);
+                let c = Util.subdivideCurve(localU, cur.controlPoints[8], cur.controlPoints[9], cur.controlPoints[10], cur.controlPoints[11]);
+                let d = Util.subdivideCurve(localU, cur.controlPoints[12], cur.controlPoints[13], cur.controlPoints[14], cur.controlPoints[15]);
+
+
+                let ptsLeft = new Array(16).fill(null);
+                let ptsRight = new Array(16).fill(null);
+
+                if (i > 0) {
+                    ptsLeft[0] = leftPatches[i - 1].controlPoints[12];
+                    ptsLeft[1] = leftPatches[i - 1].controlPoints[13];
+                    ptsLeft[2] = leftPatches[i - 1].controlPoints[14];
+                    ptsLeft[3] = leftPatches[i - 1].controlPoints[15];
+
+                    ptsRight[0] = rightPatches[i - 1].controlPoints[12];
+                    ptsRight[1] = rightPatches[i - 1].controlPoints[13];
+                    ptsRight[2] = rightPatches[i - 1].controlPoints[14];
+                    ptsRight[3] = rightPatches[i - 1].controlPoints[15];
+
+                } else {
+                    ptsLeft[0] = cur.controlPoints[0];
+                    ptsLeft[1] = cur.controlPoints[1].copy(a[0][1]);
+                    ptsLeft[2] = this.createControlPointFromVector(a[0][2]);
+
+                    ptsRight[3] = cur.controlPoints[3];
+                    ptsRight[2] = cur.controlPoints[2].copy(a[1][2]);
+                    ptsRight[1] = this.createControlPointFromVector(a[1][1]);
+
+                    ptsLeft[3] = ptsRight[0] = this.createControlPointFromVector(a[1][0]);
+
+                }
+
+                ptsLeft[4] = cur.controlPoints[4];
+                ptsLeft[8] = cur.controlPoints[8];
+                ptsLeft[12] = cur.controlPoints[12];
+                ptsLeft[13] = cur.controlPoints[13].copy(d[0][1]);
+                ptsLeft[14] = this.createControlPointFromVector(d[0][2]);
+
+                ptsLeft[5] = cur.controlPoints[5].copy(b[0][1]);
+                ptsLeft[9] = cur.controlPoints[6].copy(c[0][1]);
+                ptsLeft[6] = this.createControlPointFromVector(b[0][2]);
+                ptsLeft[10] = this.createControlPointFromVector(c[0][2]);
+
+                ptsRight[7] = cur.controlPoints[7];
+                ptsRight[11] = cur.controlPoints[11];
+                ptsRight[15] = cur.controlPoints[15];
+                ptsRight[14] = cur.controlPoints[14].copy(d[1][2]);
+                ptsRight[13] = this.createControlPointFromVector(d[1][1]);
+
+                ptsRight[5] = this.createControlPointFromVector(b[1][1]);
+                ptsRight[9] = this.createControlPointFromVector(c[1][1]);
+                ptsRight[6] = cur.controlPoints[9].copy(b[1][2]);
+                ptsRight[10] = cur.controlPoints[10].copy(c[1][2]);
+
+                ptsLeft[7] = ptsRight[4] = this.createControlPointFromVector(b[1][0]);
+                ptsLeft[11] = ptsRight[8] = this.createControlPointFromVector(c[1][0]);
+                ptsLeft[15] = ptsRight[12] = this.createControlPointFromVector(d[1][0]);
+
+                leftPatches.push(new BezierPatch3(
+                    new Domain(cur.domain.u0, cur.domain.v0, u, cur.domain.v1),
+                    ptsLeft
+                ));
+
+                rightPatches.push(new BezierPatch3(
+                    new Domain(u, cur.domain.v0, cur.domain.u1, cur.domain.v1),
+                    ptsRight
+                ));
+            }
+
+            this.bezierPatches.insertColumn(colIndex + 1);
+            this.bezierPatches.insertColumn(colIndex + 2);
+
+            for (let i = 0; i < this.bezierPatches.rowCount; i++) {
+                this.bezierPatches.set(i, colIndex + 1, leftPatches[i]);
+                this.bezierPatches.set(i, colIndex + 2, rightPatches[i]);
+            }
+
+            this.bezierPatches.deleteColumn(colIndex);
+
+            if (corners) {
+                let rows = this.bezierPatches.rowCount;
+                for (let i = 0; i < rows; i++)
+                    this.bezierPatches.get(i, colIndex).controlPoints[3].copy(corners[i]);
+                this.bezierPatches.get(rows - 1, colIndex).controlPoints[15].copy(corners[rows]);
+                this.update(mode);
+            }
+
+            this.relinkControlPoints();
+        }
+
+        /**
+         * Subdivides this patch along the v coordinate
+         * @param {number} v The v coordinate
+         * @param {"bezier"|"linear"|"perspective"} [mode] The computation mode (default is "bezier")
+         */
+        subdivideHorizontal(v, mode = "bezier") {
+            let rowIndex = this.bezierPatches.rows().findIndex(r => r[0].domain.v0 <= v && r[0].domain.v1 >= v);
+            let row = this.bezierPatches.rows()[rowIndex];
+
+            // In perspective mode the new corners lie on the homographies rather than on the bezier net.
+            // Corners shared by two columns are taken from the right one.
+            let corners = null;
+            if (mode === "perspective") {
+                corners = row.map(p => p.compute(p.domain.u0, v, mode).clone());
+                let right = row[row.length - 1];
+                corners.push(right.compute(right.domain.u1, v, mode).clone());
+            }
+
+            let topPatches = [];
+            let bottomPatches = [];
+
+
+            /* Subdivided curves
+            a1      b1      c1      d1
+            |       |       |       |
+            |       |       |       |
+            |       |       |       |
+            |       |       |       |
+            |       |       |       |
+            ---------------------------- cut point
+            |       |       |       |
+            |       |       |       |
+            |       |       |       |
+            |       |       |       |
+            |       |       |       |
+            a0      b0      c0      d0
+
+            */
+
+
+            for (let j = 0; j < this.bezierPatches.colCount; j++) {
+
+                let cur = row[j];
+
+                let localV = (v - cur.domain.v0) / (cur.domain.v1 - cur.domain.v0);
+
+                let a = Util.subdivideCurve(localV, cur.controlPoints[0], cur.controlPoints[4], cur.controlPoints[8], cur.controlPoints[12]);
+                let b = Util.subdivideCurve(localV, cur.controlPoints[1], cur.controlPoints[5], cur.controlPoints[9], cur.controlPoints[13]);
+                let c = Util.subdivideCurve(localV, cur.controlPoints[2], cur.controlPoints[6], cur.controlPoints[10], cur.controlPoints[14]);
+                let d = Util.subdivideCurve(localV, cur.controlPoints[3], cur.controlPoints[7], cur.controlPoints[11], cur.controlPoints[15]);
+
+
+                let ptsTop = new Array(16).fill(null);
+                let ptsBottom = new Array(16).fill(null);
+
+                if (j > 0) {
+                    ptsBottom[0] = bottomPatches[j - 1].controlPoints[3];
+                    ptsBottom[4] = bottomPatches[j - 1].controlPoints[7];
+                    ptsBottom[8] = bottomPatches[j - 1].controlPoints[11];
+                    ptsBottom[12] = bottomPatches[j - 1].controlPoints[15];
+
+                    ptsTop[0] = topPatches[j - 1].controlPoints[3];
+                    ptsTop[4] = topPatches[j - 1].controlPoints[7];
+                    ptsTop[8] = topPatches[j - 1].controlPoints[11];
+                    ptsTop[12] = topPatches[j - 1].controlPoints[15];
+
+                } else {
+                    ptsBottom[0] = cur.controlPoints[0];
+                    ptsBottom[4] = cur.controlPoints[4].copy(a[0][1]);
+                    ptsBottom[8] = this.createControlPointFromVector(a[0][2]);
+
+                    ptsTop[12] = cur.controlPoints[12];
+                    ptsTop[8] = cur.controlPoints[8].copy(a[1][2]);
+                    ptsTop[4] = this.createControlPointFromVector(a[1][1]);
+
+                    ptsBottom[12] = ptsTop[0] = this.createControlPointFromVector(a[1][0]);
+
+                }
+
+                ptsBottom[1] = cur.controlPoints[1];
+                ptsBottom[2] = cur.controlPoints[2];
+                ptsBottom[3] = cur.controlPoints[3];
+                ptsBottom[7] = cur.controlPoints[7].copy(d[0][1]);
+                ptsBottom[11] = this.createControlPointFromVector(d[0][2]);
+
+                ptsBottom[5] = cur.controlPoints[5].copy(b[0][1]);
+                ptsBottom[6] = cur.controlPoints[6].copy(c[0][1]);
+                ptsBottom[9] = this.createControlPointFromVector(b[0][2]);
+                ptsBottom[10] = this.createControlPointFromVector(c[0][2]);
+
+                ptsTop[13] = cur.controlPoints[13];
+                ptsTop[14] = cur.controlPoints[14];
+                ptsTop[15] = cur.controlPoints[15];
+                ptsTop[11] = cur.controlPoints[11].copy(d[1][2]);
+                ptsTop[7] = this.createControlPointFromVector(d[1][1]);
+
+                ptsTop[5] = this.createControlPointFromVector(b[1][1]);
+                ptsTop[6] = this.createControlPointFromVector(c[1][1]);
+                ptsTop[9] = cur.controlPoints[9].copy(b[1][2]);
+                ptsTop[10] = cur.controlPoints[10].copy(c[1][2]);
+
+                ptsBottom[13] = ptsTop[1] = this.createControlPointFromVector(b[1][0]);
+                ptsBottom[14] = ptsTop[2] = this.createControlPointFromVector(c[1][0]);
+                ptsBottom[15] = ptsTop[3] = this.createControlPointFromVector(d[1][0]);
+
+                bottomPatches.push(new BezierPatch3(
+                    new Domain(cur.domain.u0, cur.domain.v0, cur.domain.u1, v),
+                    ptsBottom
+                ));
+
+                topPatches.push(new BezierPatch3(
+                    new Domain(cur.domain.u0, v, cur.domain.u1, cur.domain.v1),
+                    ptsTop
+                ));
+            }
+
+            this.bezierPatches.inserRow(rowIndex + 1);
+            this.bezierPatches.inserRow(rowIndex + 2);
+
+            for (let j = 0; j < this.bezierPatches.colCount; j++) {
+                this.bezierPatches.set(rowIndex + 1, j, bottomPatches[j]);
+                this.bezierPatches.set(rowIndex + 2, j, topPatches[j]);
+            }
+
+            this.bezierPatches.deleteRow(rowIndex);
+
+            if (corners) {
+                let cols = this.bezierPatches.colCount;
+                for (let j = 0; j < cols; j++)
+                    this.bezierPatches.get(rowIndex, j).controlPoints[12].copy(corners[j]);
+                this.bezierPatches.get(rowIndex, cols - 1).controlPoints[15].copy(corners[cols]);
+                this.update(mode);
+            }
+
+            this.relinkControlPoints();
+
+        }
+
+        /**
+         * Tells whether the vertical cut between the given column and the next one can be removed: the merge moves
+         * the inner points of the merged sub-patches and removes the points on the cut, so none of them can be locked
+         * @param {number} j The column index
+         * @returns {boolean} true if mergeColumns(j) can be called
+         */
+        canMergeColumns(j) {
+            let grid = this.bezierPatches;
+            if (!(j >= 0 && j < grid.colCount - 1))
+                return false;
+
+            for (let i = 0; i < grid.rowCount; i++) {
+                // Only the left column of the left sub-patch and the right column of the right one stay in place
+                if (grid.get(i, j).controlPoints.some((c, k) => k % 4 !== 0 && c.locked) ||
+                    grid.get(i, j + 1).controlPoints.some((c, k) => k % 4 !== 3 && c.locked))
+                    return false;
+            }
+            return true;
+        }
+
+        /**
+         * Tells whether the horizontal cut between the given row and the next one can be removed. See canMergeColumns()
+         * @param {number} i The row index
+         * @returns {boolean} true if mergeRows(i) can be called
+         */
+        canMergeRows(i) {
+            let grid = this.bezierPatches;
+            if (!(i >= 0 && i < grid.rowCount - 1))
+                return false;
+
+            for (let j = 0; j < grid.colCount; j++) {
+                // Only the bottom row of the bottom sub-patch and the top row of the top one stay in place
+                if (grid.get(i, j).controlPoints.some((c, k) => k >= 4 && c.locked) ||
+                    grid.get(i + 1, j).controlPoints.some((c, k) => k < 12 && c.locked))
+                    return false;
+            }
+            return true;
+        }
+
+        /**
+         * Removes the vertical cut between the given column and the next one. Each pair of sub-patches is
+         * replaced by a single one fitted by least squares. Throws if the merge would move or remove locked
+         * points (see canMergeColumns())
+         * @param {number} j The column index
+         * @param {"bezier"|"linear"|"perspective"} [mode] The computation mode (default is "bezier")
+         */
+        mergeColumns(j, mode = "bezier") {
+            let grid = this.bezierPatches;
+            if (!(j >= 0 && j < grid.colCount - 1))
+                throw new Error("Invalid column index: " + j);
+            if (!this.canMergeColumns(j))
+                throw new Error("Can't merge column " + j + " without moving locked control points");
+
+            for (let i = 0; i < grid.rowCount; i++) {
+                let left = grid.get(i, j);
+                let right = grid.get(i, j + 1);
+                let t = (left.domain.u1 - left.domain.u0) / (right.domain.u1 - left.domain.u0);
+                let cp = left.controlPoints.slice();
+
+                for (let r = 0; r < 4; r++) {
+                    cp[r * 4 + 3] = right.controlPoints[r * 4 + 3];
+
+                    // The bottom curve is shared with the row below, which is already merged
+                    if (r === 0 && i > 0)
+                        continue;
+
+                    let curve = Util.joinCurves(t, left.controlPoints.slice(r * 4, r * 4 + 4), right.controlPoints.slice(r * 4, r * 4 + 4));
+                    cp[r * 4 + 1].copy(curve[1]);
+                    cp[r * 4 + 2].copy(curve[2]);
+                }
+
+                grid.set(i, j, new BezierPatch3(new Domain(left.domain.u0, left.domain.v0, right.domain.u1, left.domain.v1), cp));
+            }
+
+            grid.deleteColumn(j + 1);
+            this.relinkMerged(mode);
+        }
+
+        /**
+         * Removes the horizontal cut between the given row and the next one. Each pair of sub-patches is
+         * replaced by a single one fitted by least squares. Throws if the merge would move or remove locked
+         * points (see canMergeRows())
+         * @param {number} i The row index
+         * @param {"bezier"|"linear"|"perspective"} [mode] The computation mode (default is "bezier")
+         */
+        mergeRows(i, mode = "bezier") {
+            let grid = this.bezierPatches;
+            if (!(i >= 0 && i < grid.rowCount - 1))
+                throw new Error("Invalid row index: " + i);
+            if (!this.canMergeRows(i))
+                throw new Error("Can't merge row " + i + " without moving locked control points");
+
+            let column = (cp, c) => [cp[c], cp[c + 4], cp[c + 8], cp[c + 12]];
+
+            for (let j = 0; j < grid.colCount; j++) {
+                let bottom = grid.get(i, j);
+                let top = grid.get(i + 1, j);
+                let t = (bottom.domain.v1 - bottom.domain.v0) / (top.domain.v1 - bottom.domain.v0);
+                let cp = bottom.controlPoints.slice();
+
+                for (let c = 0; c < 4; c++) {
+                    cp[c + 12] = top.controlPoints[c + 12];
+
+                    // The left curve is shared with the previous column, which is already merged
+                    if (c === 0 && j > 0)
+                        continue;
+
+                    let curve = Util.joinCurves(t, column(bottom.controlPoints, c), column(top.controlPoints, c));
+                    cp[c + 4].copy(curve[1]);
+                    cp[c + 8].copy(curve[2]);
+                }
+
+                grid.set(i, j, new BezierPatch3(new Domain(bottom.domain.u0, bottom.domain.v0, bottom.domain.u1, top.domain.v1), cp));
+            }
+
+            grid.deleteRow(i + 1);
+            this.relinkMerged(mode);
+        }
+
+        /**
+         * Relinks the control points after a merge and releases the ones that are no longer used
+         * @private
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         */
+        relinkMerged(mode) {
+            let previous = this.allControlPoints;
+            this.relinkControlPoints();
+            previous.filter(c => !this.allControlPoints.includes(c)).forEach(c => c.dispose());
+
+            if (mode !== "bezier")
+                this.update(mode);
+        }
+
+    }
+
+    /**
+     * A bicubic bezier patch
+     */
+    class BezierPatch3 {
+        /**
+         * @constructor
+         * @param {Domain} domain The patch's domain
+         * @param {ControlPoint[16]} controlPoints The patch's control points
+         */
+        constructor(domain, controlPoints) {
+            this.controlPoints = controlPoints;
+            this.domain = domain;
+        }
+
+        /**
+         * Computes this patch at the given coordinates
+         * @param {number} u The u coordinate
+         * @param {number} v The v coordinate
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @returns {THREE.Vector3} The value of the patch
+         */
+        compute(u, v, mode) {
+
+            u = (u - this.domain.u0) / (this.domain.u1 - this.domain.u0);
+            v = (v - this.domain.v0) / (this.domain.v1 - this.domain.v0);
+
+            if (mode === "linear") {
+                let v0 = buffers.vec3[0].copy(this.controlPoints[0]);
+                let v1 = buffers.vec3[1].copy(this.controlPoints[12]);
+
+                v0.lerp(this.controlPoints[3], u);
+                v1.lerp(this.controlPoints[15], u);
+
+                return v0.lerp(v1, v);
+            } else if (mode === "perspective") {
+                let H = this.homography();
+                if (!H)
+                    return this.compute(this.domain.u0 + u * (this.domain.u1 - this.domain.u0),
+                        this.domain.v0 + v * (this.domain.v1 - this.domain.v0), "linear");
+
+                let [a, b, c, d, e, f, k, l, m, g, h] = H;
+                let w = g * u + h * v + 1;
+                return buffers.vec3[0].set((a * u + b * v + c) / w, (d * u + e * v + f) / w, (k * u + l * v + m) / w);
+            } else if (mode === "bezier") {
+                let pRes = buffers.vec3[0].set(0, 0, 0);
+                let p0 = buffers.vec3[1];
+
+                for (let y = 0; y < 4; y++) {
+                    for (let x = 0; x < 4; x++) {
+                        let b = Util.computeBernsteinBasis3(x, u) * Util.computeBernsteinBasis3(y, v);
+                        pRes.add(p0.copy(this.controlPoints[y * 4 + x]).multiplyScalar(b));
+                    }
+                }
+                return pRes;
+
+            } else {
+                throw new Error("Invalid patch compute mode: " + mode);
+            }
+        }
+
+        /**
+         * Computes the homography (projective map) taking the unit square to the 4 corners of this patch.
+         * See Util.homography
+         * @returns {number[]} The coefficients [a, b, c, d, e, f, k, l, m, g, h], or null if the corners
+         * don't form a convex quadrilateral
+         */
+        homography() {
+            let cp = this.controlPoints;
+            return Util.homography(cp[0], cp[3], cp[15], cp[12]);
+        }
+
+        /**
+         * Computes the partial derivatives of this patch with respect to the local
+         * (normalized to [0, 1]) coordinates
+         * @param {number} s The local u coordinate
+         * @param {number} t The local v coordinate
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @returns {{ du: THREE.Vector3, dv: THREE.Vector3 }} The partial derivatives
+         */
+        localDerivatives(s, t, mode) {
+            let du = buffers.vec3[2].set(0, 0, 0);
+            let dv = buffers.vec3[3].set(0, 0, 0);
+            let cp = this.controlPoints;
+
+            if (mode === "linear") {
+                let a = buffers.vec3[4];
+                let b = buffers.vec3[5];
+
+                du.add(a.copy(cp[3]).sub(cp[0]).multiplyScalar(1 - t));
+                du.add(a.copy(cp[15]).sub(cp[12]).multiplyScalar(t));
+
+                a.copy(cp[0]).lerp(cp[3], s);
+                b.copy(cp[12]).lerp(cp[15], s);
+                dv.copy(b).sub(a);
+
+            } else if (mode === "perspective") {
+                let H = this.homography();
+                if (!H)
+                    return this.localDerivatives(s, t, "linear");
+
+                let [a, b, c, d, e, f, k, l, m, g, h] = H;
+                let w = g * s + h * t + 1;
+                let [x, y, z] = [(a * s + b * t + c) / w, (d * s + e * t + f) / w, (k * s + l * t + m) / w];
+
+                du.set((a - g * x) / w, (d - g * y) / w, (k - g * z) / w);
+                dv.set((b - h * x) / w, (e - h * y) / w, (l - h * z) / w);
+
+            } else if (mode === "bezier") {
+                let p0 = buffers.vec3[4];
+
+                for (let y = 0; y < 4; y++) {
+                    for (let x = 0; x < 4; x++) {
+                        let bu = Util.computeBernsetinDerivative3(x, s) * Util.computeBernsteinBasis3(y, t);
+                        let bv = Util.computeBernsteinBasis3(x, s) * Util.computeBernsetinDerivative3(y, t);
+                        du.add(p0.copy(cp[y * 4 + x]).multiplyScalar(bu));
+                        dv.add(p0.copy(cp[y * 4 + x]).multiplyScalar(bv));
+                    }
+                }
+            } else {
+                throw new Error("Invalid patch compute mode: " + mode);
+            }
+
+            return { du: du, dv: dv };
+        }
+
+        /**
+         * Finds the coordinates of this patch that map to the given point, using Newton iteration
+         * @param {number} x The x coordinate of the point
+         * @param {number} y The y coordinate of the point
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @returns {{ u: number, v: number }} The coordinates (in this patch's domain), or null if the point is outside this patch
+         */
+        inverse(x, y, mode) {
+
+            const maxIterations = 20;
+            const tolerance = 1e-6;
+            const margin = 1e-4;
+
+            let { u0, u1, v0, v1 } = this.domain;
+
+            // The homography has a closed form inverse
+            let H = mode === "perspective" ? this.homography() : null;
+            if (H) {
+                let [a, b, c, d, e, f, , , , g, h] = H;
+                let w = (d * h - e * g) * x + (b * g - a * h) * y + (a * e - b * d);
+                if (w === 0)
+                    return null;
+
+                let s = ((e - f * h) * x + (c * h - b) * y + (b * f - c * e)) / w;
+                let t = ((f * g - d) * x + (a - c * g) * y + (c * d - a * f)) / w;
+
+                if (s < -margin || s > 1 + margin || t < -margin || t > 1 + margin)
+                    return null;
+
+                s = Math.min(Math.max(s, 0), 1);
+                t = Math.min(Math.max(t, 0), 1);
+                return { u: u0 + s * (u1 - u0), v: v0 + t * (v1 - v0) };
+            }
+
+            // Every point of the patch lies inside the bounding box of the control points
+            let cps = mode !== "bezier" ?
+                [this.controlPoints[0], this.controlPoints[3], this.controlPoints[12], this.controlPoints[15]] :
+                this.controlPoints;
+
+            let minX = Math.min(...cps.map(c => c.x)), maxX = Math.max(...cps.map(c => c.x));
+            let minY = Math.min(...cps.map(c => c.y)), maxY = Math.max(...cps.map(c => c.y));
+
+            if (x < minX || x > maxX || y < minY || y > maxY)
+                return null;
+
+            let epsilon = tolerance * Math.max(1, maxX - minX, maxY - minY);
+
+            // Try a few starting points, since the surface can be strongly curved
+            for (let seed of [[0.5, 0.5], [0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]]) {
+                let [s, t] = seed;
+
+                for (let i = 0; i < maxIterations; i++) {
+                    let p = this.compute(u0 + s * (u1 - u0), v0 + t * (v1 - v0), mode);
+                    let rx = p.x - x;
+                    let ry = p.y - y;
+
+                    if (Math.abs(rx) < epsilon && Math.abs(ry) < epsilon) {
+                        if (s >= -margin && s <= 1 + margin && t >= -margin && t <= 1 + margin) {
+                            s = Math.min(Math.max(s, 0), 1);
+                            t = Math.min(Math.max(t, 0), 1);
+                            return { u: u0 + s * (u1 - u0), v: v0 + t * (v1 - v0) };
+                        }
+                        break;
+                    }
+
+                    let { du, dv } = this.localDerivatives(s, t, mode);
+                    let det = du.x * dv.y - du.y * dv.x;
+
+                    if (det === 0)
+                        break;
+
+                    s -= (rx * dv.y - ry * dv.x) / det;
+                    t -= (du.x * ry - du.y * rx) / det;
+
+                    // Keep the iteration near the patch
+                    s = Math.min(Math.max(s, -0.5), 1.5);
+                    t = Math.min(Math.max(t, -0.5), 1.5);
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Computes how many segments are needed in each direction to approximate this
+         * patch with a piecewise linear surface, within the given tolerance. The estimate
+         * is based on the second differences of the control net.
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         * @param {number} tolerance The maximum deviation, in world units
+         * @returns {{ u: number, v: number }} The number of segments
+         */
+        segmentCount(mode, tolerance) {
+            const maxSegments = 64;
+
+            let cp = this.controlPoints;
+            let d = buffers.vec3[2];
+            let mu = 0, mv = 0, muv = 0;
+
+            if (mode === "linear") {
+                // A bilinear patch only bends along the diagonals
+                muv = d.copy(cp[0]).sub(cp[3]).sub(cp[12]).add(cp[15]).length() / 9;
+            } else if (mode === "perspective") {
+                let H = this.homography();
+                if (!H)
+                    return this.segmentCount("linear", tolerance);
+
+                // Along each direction the map is linear up to the division by w, so its second derivatives
+                // (-2 g du / w, -2 h dv / w and -(g dv + h du) / w) peak at the corners. They are scaled
+                // to the control net differences used below (6 and 9 times smaller).
+                let [g, h] = H.slice(9);
+                for (let [s, t] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+                    let w = g * s + h * t + 1;
+                    let { du, dv } = this.localDerivatives(s, t, mode);
+                    mu = Math.max(mu, 2 * Math.abs(g) * du.length() / w / 6);
+                    mv = Math.max(mv, 2 * Math.abs(h) * dv.length() / w / 6);
+                    muv = Math.max(muv, d.copy(dv).multiplyScalar(g).addScaledVector(du, h).length() / w / 9);
+                }
+            } else if (mode === "bezier") {
+                for (let i = 0; i < 4; i++) {
+                    for (let j = 0; j < 2; j++) {
+                        mu = Math.max(mu, d.copy(cp[i * 4 + j]).addScaledVector(cp[i * 4 + j + 1], -2).add(cp[i * 4 + j + 2]).length());
+                        mv = Math.max(mv, d.copy(cp[j * 4 + i]).addScaledVector(cp[(j + 1) * 4 + i], -2).add(cp[(j + 2) * 4 + i]).length());
+                    }
+                }
+                for (let i = 0; i < 3; i++) {
+                    for (let j = 0; j < 3; j++) {
+                        muv = Math.max(muv, d.copy(cp[i * 4 + j]).sub(cp[i * 4 + j + 1]).sub(cp[(i + 1) * 4 + j]).add(cp[(i + 1) * 4 + j + 1]).length());
+                    }
+                }
+            } else {
+                throw new Error("Invalid patch compute mode: " + mode);
+            }
+
+            let twist = 1.5 * Math.sqrt(muv / tolerance);
+            let count = (m) => Math.min(maxSegments, Math.max(1, Math.ceil(Math.max(Math.sqrt(0.75 * m / tolerance), twist))));
+
+            return { u: count(mu), v: count(mv) };
+        }
+
+
+        /**
+         * Places the edge and inner control points from the corners, so that the bezier
+         * patch matches the bilinear (or, in perspective mode, the projective) patch
+         * @param {"linear"|"perspective"} [mode] The computation mode (default is "linear")
+         */
+        computeAutomaticControlPoints(mode = "linear") {
+
+            let cp = this.controlPoints;
+
+            if (mode === "perspective") {
+                // The homography only depends on the corners
+                let { u0, u1, v0, v1 } = this.domain;
+                for (let i = 0; i < 16; i++) {
+                    let [x, y] = [i % 4, Math.floor(i / 4)];
+                    if ((x === 0 || x === 3) && (y === 0 || y === 3))
+                        continue;
+                    cp[i].copy(this.compute(u0 + x / 3 * (u1 - u0), v0 + y / 3 * (v1 - v0), mode));
+                }
+                return;
+            }
+
+            // Autocompute outline CPS
+            cp[1].copy(cp[0]).lerp(cp[3], 1 / 3);
+            cp[2].copy(cp[0]).lerp(cp[3], 2 / 3);
+
+            cp[4].copy(cp[0]).lerp(cp[12], 1 / 3);
+            cp[8].copy(cp[0]).lerp(cp[12], 2 / 3);
+
+            cp[13].copy(cp[12]).lerp(cp[15], 1 / 3);
+            cp[14].copy(cp[12]).lerp(cp[15], 2 / 3);
+
+            cp[7].copy(cp[3]).lerp(cp[15], 1 / 3);
+            cp[11].copy(cp[3]).lerp(cp[15], 2 / 3);
+
+
+            // Auto compute mid points
+            cp[5].copy(cp[4]).lerp(cp[7], 1 / 3);
+            cp[6].copy(cp[4]).lerp(cp[7], 2 / 3);
+            cp[9].copy(cp[8]).lerp(cp[11], 1 / 3);
+            cp[10].copy(cp[8]).lerp(cp[11], 2 / 3);
+        }
+
+        /**
+         * Updates this patch
+         * @param {"bezier"|"linear"|"perspective"} mode The computation mode
+         */
+        update(mode) {
+            // Compute middle control points
+            let cp = this.controlPoints;
+
+            if (mode === "linear" || mode === "perspective") {
+                // Autocompute outline CPS
+                this.computeAutomaticControlPoints(mode);
+            }
+
+
+            cp.forEach(p => p.update());
+        }
+
+        /**
+         * Releases all the resources associated with this patch
+         */
+        dispose() {
+            this.controlPoints.forEach(p => p.dispose());
+        }
+
+    }
+
+    /**
+     * Software rasterizer that draws images and textured meshes into an RGBA buffer.
+     * World coordinates are mapped to the image so that (0, 0) is the bottom left
+     * corner and (worldWidth, worldHeight) is the top right corner.
+     */
+    class Rasterizer {
+        /**
+         * @constructor
+         * @param {number} width The image width in pixels
+         * @param {number} height The image height in pixels
+         * @param {number} [worldWidth] The world width covered by the image
+         * @param {number} [worldHeight] The world height covered by the image
+         */
+        constructor(width, height, worldWidth, worldHeight) {
+            this.width = width;
+            this.height = height;
+            this.worldWidth = worldWidth || width;
+            this.worldHeight = worldHeight || height;
+            this.data = new Uint8ClampedArray(width * height * 4);
+            this.color = new Float32Array(4);
+        }
+
+        /**
+         * Fills the whole image with the given color
+         * @param {number} r Red (0-255)
+         * @param {number} g Green (0-255)
+         * @param {number} b Blue (0-255)
+         * @param {number} a Alpha (0-255)
+         */
+        clear(r, g, b, a) {
+            for (let i = 0; i < this.data.length; i += 4) {
+                this.data[i + 0] = r;
+                this.data[i + 1] = g;
+                this.data[i + 2] = b;
+                this.data[i + 3] = a;
+            }
+        }
+
+        /**
+         * Samples an image with bilinear filtering. The result is stored in this.color
+         * @private
+         * @param {{ width: number, height: number, data: ArrayLike<number> }} image The image
+         * @param {number} u Horizontal coordinate (0 = left, 1 = right)
+         * @param {number} v Vertical coordinate (0 = bottom, 1 = top)
+         * @returns {Float32Array} The sampled RGBA color
+         */
+        sample(image, u, v) {
+            let x = Math.min(Math.max(u * image.width - 0.5, 0), image.width - 1);
+            let y = Math.min(Math.max((1 - v) * image.height - 0.5, 0), image.height - 1);
+
+            let x0 = Math.floor(x), y0 = Math.floor(y);
+            let x1 = Math.min(x0 + 1, image.width - 1), y1 = Math.min(y0 + 1, image.height - 1);
+            let fx = x - x0, fy = y - y0;
+
+            let i00 = (y0 * image.width + x0) * 4;
+            let i10 = (y0 * image.width + x1) * 4;
+            let i01 = (y1 * image.width + x0) * 4;
+            let i11 = (y1 * image.width + x1) * 4;
+
+            for (let c = 0; c < 4; c++) {
+                let top = image.data[i00 + c] * (1 - fx) + image.data[i10 + c] * fx;
+                let bottom = image.data[i01 + c] * (1 - fx) + image.data[i11 + c] * fx;
+                this.color[c] = top * (1 - fy) + bottom * fy;
+            }
+
+            return this.color;
+        }
+
+        /**
+         * Blends the given color over the pixel at (x, y)
+         * @private
+         * @param {number} x Pixel x
+         * @param {number} y Pixel y
+         * @param {Float32Array} color The RGBA color
+         */
+        blend(x, y, color) {
+            let i = (y * this.width + x) * 4;
+            let a = color[3] / 255;
+            let da = this.data[i + 3] / 255;
+            let oa = a + da * (1 - a);
+
+            if (oa <= 0)
+                return;
+
+            for (let c = 0; c < 3; c++)
+                this.data[i + c] = (color[c] * a + this.data[i + c] * da * (1 - a)) / oa;
+            this.data[i + 3] = oa * 255;
+        }
+
+        /**
+         * Draws an image stretched over the whole world rectangle
+         * @param {{ width: number, height: number, data: ArrayLike<number> }} image The image
+         */
+        drawImage(image) {
+            for (let y = 0; y < this.height; y++) {
+                for (let x = 0; x < this.width; x++) {
+                    this.blend(x, y, this.sample(image, (x + 0.5) / this.width, 1 - (y + 0.5) / this.height));
+                }
+            }
+        }
+
+        /**
+         * Draws a textured triangle mesh
+         * @param {{ positions: ArrayLike<number>, uvs: ArrayLike<number>, indices: ArrayLike<number> }} geometry The mesh geometry
+         * @param {{ width: number, height: number, data: ArrayLike<number> }} texture The texture
+         */
+        drawMesh(geometry, texture) {
+            let { positions, uvs, indices } = geometry;
+            let sx = this.width / this.worldWidth;
+            let sy = this.height / this.worldHeight;
+
+            let px = (i) => positions[i * 3] * sx;
+            let py = (i) => this.height - positions[i * 3 + 1] * sy;
+
+            for (let t = 0; t < indices.length; t += 3) {
+                let [i0, i1, i2] = [indices[t], indices[t + 1], indices[t + 2]];
+                this.drawTriangle(
+                    px(i0), py(i0), uvs[i0 * 2], uvs[i0 * 2 + 1],
+                    px(i1), py(i1), uvs[i1 * 2], uvs[i1 * 2 + 1],
+                    px(i2), py(i2), uvs[i2 * 2], uvs[i2 * 2 + 1],
+                    texture
+                );
+            }
+        }
+
+        /**
+         * Draws a single textured triangle given in pixel coordinates
+         * @private
+         */
+        drawTriangle(x0, y0, u0, v0, x1, y1, u1, v1, x2, y2, u2, v2, texture) {
+            let area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+
+            if (area === 0)
+                return;
+
+            // Make the winding consistent, so that the edge functions are positive inside
+            if (area < 0) {
+                [x1, y1, u1, v1, x2, y2, u2, v2] = [x2, y2, u2, v2, x1, y1, u1, v1];
+                area = -area;
+            }
+
+            // Top-left fill rule, so that pixels on shared edges are drawn exactly once
+            let bias = (ax, ay, bx, by) => (ay === by && bx < ax) || by < ay ? 0 : -1e-9;
+            let b0 = bias(x1, y1, x2, y2), b1 = bias(x2, y2, x0, y0), b2 = bias(x0, y0, x1, y1);
+
+            let minX = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+            let maxX = Math.min(this.width - 1, Math.ceil(Math.max(x0, x1, x2)));
+            let minY = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+            let maxY = Math.min(this.height - 1, Math.ceil(Math.max(y0, y1, y2)));
+
+            for (let y = minY; y <= maxY; y++) {
+                let cy = y + 0.5;
+                for (let x = minX; x <= maxX; x++) {
+                    let cx = x + 0.5;
+
+                    let w0 = (x2 - x1) * (cy - y1) - (y2 - y1) * (cx - x1);
+                    let w1 = (x0 - x2) * (cy - y2) - (y0 - y2) * (cx - x2);
+                    let w2 = (x1 - x0) * (cy - y0) - (y1 - y0) * (cx - x0);
+
+                    if (w0 + b0 < 0 || w1 + b1 < 0 || w2 + b2 < 0)
+                        continue;
+
+                    w0 /= area;
+                    w1 /= area;
+                    w2 /= area;
+
+                    this.blend(x, y, this.sample(texture, w0 * u0 + w1 * u1 + w2 * u2, w0 * v0 + w1 * v1 + w2 * v2));
+                }
+            }
+        }
+
+        /**
+         * @returns {{ width: number, height: number, data: Uint8ClampedArray }} The rendered image
+         */
+        toImageData() {
+            return { width: this.width, height: this.height, data: this.data };
+        }
+
+        /**
+         * Encodes the rendered image as an uncompressed PNG
+         * @returns {Uint8Array} The PNG file data
+         */
+        toPNG() {
+            return Util.encodePNG(this.width, this.height, this.data);
+        }
+    }
+
+    exportObj[exportName] = {
+        Grid: Grid,
+        Util: Util,
+        BezierCurve3: BezierCurve3,
+        Domain: Domain,
+        ControlPoint: ControlPoint,
+        Patch: Patch,
+        Continuity: Continuity,
+        FormatError: FormatError,
+        BezierPatch3: BezierPatch3,
+        Rasterizer: Rasterizer
+    }
+
+})(
+    typeof module === "object" && module.exports ? module : window,
+    typeof module === "object" && module.exports ? "exports" : "bmCore",
+    typeof THREE === "undefined" ? require("../vendor/three.js") : THREE
+);
@@ -1,4 +1,4 @@
-(function (exportObj, exportName) {
+(function (exportObj, exportName, core) {
     "use strict";
 
     // Temporary buffers (for memory reuse + efficiency)
@@ -22,137 +22,262 @@
         HorizontalCut: "Horizontal Cut",
         VerticalCut: "Vertical Cut",
         Pan: "Pan",
-        Transform: "Transform"
+        Transform: "Transform",
+        Corners: "Corners",
+        Merge: "Merge",
+        FreeTransform: "Free Transform"
     }
 
     const Constants = {
         RotateToolRadius: 100,
         TranslateHandleSize: 32,
         RotateHandleSize: 32,
-        ControlPointSize: 8
+        ScaleHandleSize: 10,
+        PivotHandleSize: 16,
+        MinScale: 1e-3,
+        ControlPointSize: 8,
+        LongPressDelay: 500,
+        LongPressTolerance: 8,
+        WheelZoomStep: 0.05,
+        NudgeStep: 1,
+        NudgeLargeStep: 10,
+        NudgeRotateStep: Math.PI / 180,
+        NudgeLargeRotateStep: Math.PI / 18,
+        NudgeHistoryDelay: 500,
+        SnapOutlineSegments: 16,
+        MergeDistance: 8,
+        LassoStep: 4,
+        FreeTransformHandleSize: 8,
+        FreeTransformRotateDistance: 30
     }
 
     /**
-     * Class to hold a grid (2d matrix) of objects.
-     * It has handy mehtods for manipulating rows and
-     * columns
+     * Default options of a layer
      */
-    class Grid {
-        /**
-         * @constructor
-         * @param {number} [rows] The initial number of rows
-         * @param {nunber} [cols] The initial number of columns
-         */
-        constructor(rows, cols) {
-            this.rowCount = rows || 1;
-            this.colCount = cols || 1;
-            this.cells = new Array(rows * cols).fill(null);
-        }
-        /**
-         * Iterate through the cells
-         */
-        [Symbol.iterator]() { return this.cells.values(); }
+    const LayerDefaults = {
+        name: "Layer",
+        texture: null,
+        mode: "bezier",
+        gridWidth: 20,
+        gridHeight: 20,
+        tessellation: "uniform",
+        tolerance: 0.5,
+        visible: true
+    }
 
+    /**
+     * Versioning, migration and validation of the data returned by BezierMeshProjection.save()
+     */
+    const SaveFormat = {
         /**
-         * Applies the given function to all the cells
-         * @param {callback} predicate Function to apply
-         */
-        forEach(predicate) {
-            this.cells.forEach(predicate);
-        }
-        /**
-         * Returns the object at i-th row and j-th column
-         * @param {number} i Row index 
-         * @param {number} j Column index
-         * @returns {*} The item, or null if the cell is out of bounds
+         * Current version, stored in the version field of saved data
          */
-        get(i, j) {
-            if (i < 0 || i > this.rowCount - 1 || j < 0 || j > this.colCount - 1)
-                return null;
-            return this.cells[i * this.colCount + j];
-        }
+        version: 4,
+
         /**
-         * Sets the cell at i-th row and j-th column with the given value
-         * @param {number} i Row index
-         * @param {number} j Column index
-         * @param {*} v The value
+         * Migrations by the version they upgrade from. Each one receives the saved data of that version and
+         * returns it in the next version's format, without modifying its argument. When the format changes,
+         * bump version and add the migration from the previous one here.
          */
-        set(i, j, v) {
-            this.cells[i * this.colCount + j] = v;
-        }
+        migrations: {
+            // Version 1: a single patch, with the layer settings among the projection options
+            1: (saved) => {
+                let options = {};
+                let layerOptions = {};
+                for (let key in saved.options)
+                    (key in LayerDefaults ? layerOptions : options)[key] = saved.options[key];
+
+                return {
+                    backgroundWidth: saved.backgroundWidth,
+                    backgroundHeight: saved.backgroundHeight,
+                    options: options,
+                    layers: [{ options: layerOptions, patchData: saved.patchData }],
+                    activeLayer: 0
+                };
+            },
+
+            // Version 2: control points have no continuity, all the knots are corners
+            2: (saved) => Object.assign({}, saved),
+
+            // Version 3: control points can't be locked or hidden
+            3: (saved) => Object.assign({}, saved)
+        },
 
         /**
-         * Deletes a column
-         * @param {number} j Column index 
+         * Finds the version of saved data. Saves made before versioning are detected by their shape.
+         * @param {object} saved The saved data
+         * @returns {number} The version
          */
-        deleteColumn(j) {
-            for (let i = this.rowCount - 1; i >= 0; i--)
-                this.cells.splice(i * this.colCount + j, 1);
-            this.colCount--;
-        }
+        versionOf(saved) {
+            if (saved && saved.version !== undefined)
+                return saved.version;
+            return saved && saved.layers ? 2 : 1;
+        },
 
         /**
-         * Deletes a row
-         * @param {number} i The row index 
+         * Upgrades saved data to the current version
+         * @param {object} saved The saved data
+         * @returns {object} The data in the current format
+         * @throws {FormatError} If the data is newer than this version or can't be migrated
          */
-        deleteRow(i) {
-            this.cells.splice(i * this.colCount, this.colCount);
-            this.rowCount--;
-        }
+        migrate(saved) {
+            if (!saved || typeof saved !== "object")
+                throw new core.FormatError("Invalid save data", ["expected an object"]);
+
+            let version = SaveFormat.versionOf(saved);
+            if (!Number.isInteger(version) || version < 1)
+                throw new core.FormatError("Invalid save data", ["version: expected a positive integer, got " + JSON.stringify(version)]);
+            if (version > SaveFormat.version)
+                throw new core.FormatError("Unsupported save data", ["version " + version + " is newer than the supported version " + SaveFormat.version]);
+
+            if (saved.version === undefined)
+                saved = Object.assign({}, saved, { version: version });
+
+            while (version < SaveFormat.version) {
+                let migration = SaveFormat.migrations[version];
+                if (!migration)
+                    throw new core.FormatError("Unsupported save data", ["no migration from version " + version]);
+
+                saved = migration(saved);
+                saved.version = ++version;
+            }
+
+            return saved;
+        },
 
         /**
-         * Get the rows as an array
-         * @returns {array} The rows
+         * Checks saved data in the current format
+         * @param {object} saved The saved data
+         * @returns {string[]} The problems found, empty if the data is valid
          */
-        rows() {
-            let rows = [];
+        validate(saved) {
+            let errors = [];
+            let isNumber = (x) => typeof x === "number" && isFinite(x);
+            let isOptionalString = (x) => x === undefined || x === null || typeof x === "string";
+
+            if (!saved || typeof saved !== "object")
+                return ["expected an object"];
+
+            if (saved.version !== SaveFormat.version)
+                errors.push("version: expected " + SaveFormat.version + ", got " + JSON.stringify(saved.version));
+
+            for (let key of ["backgroundWidth", "backgroundHeight"]) {
+                if (!isNumber(saved[key]) || saved[key] <= 0)
+                    errors.push(key + ": expected a positive number, got " + JSON.stringify(saved[key]));
+            }
+
+            if (saved.options !== undefined && (!saved.options || typeof saved.options !== "object"))
+                errors.push("options: expected an object");
+            else if (saved.options && !isOptionalString(saved.options.background))
+                errors.push("options.background: expected a string, got " + JSON.stringify(saved.options.background));
+
+            if (!Array.isArray(saved.layers) || saved.layers.length === 0) {
+                errors.push("layers: expected a non-empty array");
+            } else {
+                saved.layers.forEach((layer, i) => {
+                    let path = "layers[" + i + "]";
+                    if (!layer || typeof layer !== "object") {
+                        errors.push(path + ": expected an object");
+                        return;
+                    }
+
+                    let o = layer.options || {};
+                    let check = (key, valid, expected) => {
+                        if (o[key] !== undefined && !valid(o[key]))
+                            errors.push(path + ".options." + key + ": expected " + expected + ", got " + JSON.stringify(o[key]));
+                    }
+
+                    check("name", x => typeof x === "string", "a string");
+                    check("texture", isOptionalString, "a string");
+                    check("mode", x => ["bezier", "linear", "perspective"].includes(x), "\"bezier\", \"linear\" or \"perspective\"");
+                    check("gridWidth", x => Number.isInteger(x) && x > 0, "a positive integer");
+                    check("gridHeight", x => Number.isInteger(x) && x > 0, "a positive integer");
+                    check("tessellation", x => ["uniform", "adaptive"].includes(x), "\"uniform\" or \"adaptive\"");
+                    check("tolerance", x => isNumber(x) && x > 0, "a positive number");
+                    check("visible", x => typeof x === "boolean", "a boolean");
+
+                    errors.push(...core.Patch.validate(layer.patchData, path + ".patchData"));
+                });
+
+                if (saved.activeLayer !== undefined &&
+                    !(Number.isInteger(saved.activeLayer) && saved.activeLayer >= 0 && saved.activeLayer < saved.layers.length))
+                    errors.push("activeLayer: index " + JSON.stringify(saved.activeLayer) + " is out of range (0-" + (saved.layers.length - 1) + ")");
+            }
 
-            for (let i = 0; i < this.rowCount; i++) {
-                let row = [];
-                for (let j = 0; j < this.colCount; j++) {
-                    row.push(this.cells[i * this.colCount + j]);
+            if (saved.guides !== undefined) {
+                if (!Array.isArray(saved.guides)) {
+                    errors.push("guides: expected an array");
+                } else {
+                    saved.guides.forEach((g, i) => {
+                        if (!g || (g.orientation !== "horizontal" && g.orientation !== "vertical"))
+                            errors.push("guides[" + i + "].orientation: expected \"horizontal\" or \"vertical\"");
+                        if (!g || !isNumber(g.position))
+                            errors.push("guides[" + i + "].position: expected a number");
+                    });
                 }
-                rows.push(row);
             }
-            return rows;
+
+            return errors;
         }
+    }
 
+    /**
+     * Minimal event emitter
+     */
+    class EventEmitter {
         /**
-         * Inserts a new row
-         * @param {number} index The index to insert at
+         * @constructor
          */
-        inserRow(index) {
-            this.cells.splice(index * this.colCount, 0, ...new Array(this.colCount).fill(null));
-            this.rowCount++;
+        constructor() {
+            this.eventListeners = {};
         }
 
         /**
-         * Inserts a new column
-         * @param {number} index The index to insert at
+         * Adds a listener for the given event type
+         * @param {string} type The event type
+         * @param {function} listener The function to call when the event is emitted
+         * @returns {EventEmitter} This object
          */
-        insertColumn(index) {
-            for (let i = 0; i < this.rowCount; i++)
-                this.cells.splice(i * (this.colCount + 1) + index, 0, null);
-            this.colCount++;
+        on(type, listener) {
+            if (!this.eventListeners[type])
+                this.eventListeners[type] = [];
+            if (!this.eventListeners[type].includes(listener))
+                this.eventListeners[type].push(listener);
+            return this;
         }
 
         /**
-         * Get the columns as an array
-         * @returns {array} The columns
+         * Removes a listener for the given event type. If no listener is given, all the
+         * listeners for that event type are removed
+         * @param {string} type The event type
+         * @param {function} [listener] The listener to remove
+         * @returns {EventEmitter} This object
          */
-        columns() {
-            let cols = [];
+        off(type, listener) {
+            if (!this.eventListeners[type])
+                return this;
 
-            for (let j = 0; j < this.colCount; j++) {
-                let col = [];
-                for (let i = 0; i < this.rowCount; i++) {
-                    col.push(this.cells[i * this.colCount + j]);
-                }
-                cols.push(col);
-            }
+            if (listener)
+                this.eventListeners[type] = this.eventListeners[type].filter(l => l !== listener);
+            else
+                delete this.eventListeners[type];
+
+            return this;
+        }
 
-            return cols;
+        /**
+         * Calls all the listeners of the given event type
+         * @param {string} type The event type
+         * @param {object} [data] Additional event data
+         */
+        emit(type, data) {
+            let listeners = this.eventListeners[type];
+            if (!listeners)
+                return;
 
+            let evt = Object.assign({ type: type, target: this }, data);
+            for (let listener of listeners.slice())
+                listener.call(this, evt);
         }
     }
 
@@ -162,10 +287,13 @@
     class Textures {
         /**
          * @constructor
+         * @param {BezierMeshProjection} ownerProjection The projection using these textures
          */
-        constructor() {
+        constructor(ownerProjection) {
+            this.ownerProjection = ownerProjection;
             this.loader = new THREE.TextureLoader();
             this.texturesMap = {};
+            this.promisesMap = {};
         }
 
         /**
@@ -174,18 +302,66 @@
          * @returns {Promise} a promise that is fulfilled when the texture is loaded
          */
         load(url) {
-            return new Promise((resolve, reject) => {
-
-                if (!url)
-                    resolve(null);
+            if (!url)
+                return Promise.resolve(null);
 
-                if (this.texturesMap[url]) {
-                    resolve(this.texturesMap[url]);
-                } else {
+            if (!this.promisesMap[url]) {
+                this.promisesMap[url] = new Promise((resolve, reject) => {
                     this.texturesMap[url] = this.loader.load(url, (tex) => {
+                        this.ownerProjection.emit("textureload", { url: url, texture: tex });
                         resolve(tex);
-                    }, undefined, err => reject(err));
-                }
+                    }, undefined, err => {
+                        delete this.texturesMap[url];
+                        delete this.promisesMap[url];
+                        this.ownerProjection.emit("textureerror", { url: url, error: err });
+                        reject(err);
+                    });
+                });
+            }
+
+            return this.promisesMap[url];
+        }
+
+        /**
+         * Loads the pixels of an image
+         * @param {string|ImageData} source The url of the image, or the image data itself
+         * @returns {Promise} a promise that is fulfilled with the image data (or null if no source is given)
+         */
+        loadImageData(source) {
+            if (source && typeof source !== "string")
+                return Promise.resolve(source);
+
+            return this.load(source).then(tex => {
+                if (!tex)
+                    return null;
+
+                let canvas = document.createElement("canvas");
+                canvas.width = tex.image.width;
+                canvas.height = tex.image.height;
+
+                let ctx = canvas.getContext("2d");
+                ctx.drawImage(tex.image, 0, 0);
+                return ctx.getImageData(0, 0, canvas.width, canvas.height);
+            });
+        }
+
+        /**
+         * Loads an image and encodes it as a data URI
+         * @param {string} url The url of the image
+         * @returns {Promise} a promise that is fulfilled with the data URI (or null if no url is given)
+         */
+        loadDataURL(url) {
+            if (!url || url.startsWith("data:"))
+                return Promise.resolve(url || null);
+
+            return this.load(url).then(tex => {
+                let canvas = document.createElement("canvas");
+                canvas.width = tex.image.width;
+                canvas.height = tex.image.height;
+                canvas.getContext("2d").drawImage(tex.image, 0, 0);
+
+                // Photos stay JPEG, anything else is stored losslessly
+                return canvas.toDataURL(/\.jpe?g$/i.test(url) ? "image/jpeg" : "image/png");
             });
         }
 
@@ -196,15 +372,23 @@
             for (let t in this.texturesMap)
                 this.texturesMap[t].dispose();
             this.texturesMap = {};
+            this.promisesMap = {};
         }
 
     }
 
+    /**
+     * The handles of the Transform tool: translate and rotate handles at the center of the patch, scale handles
+     * at the corners and edges of its bounds, and the pivot of rotations and scalings
+     */
     class TransformTool extends THREE.Vector3 {
         constructor(ownerProjection) {
             super(0, 0, 0);
             this.ownerProjection = ownerProjection;
             this.direction = new THREE.Vector2(0, 1);
+            // Pivot in world coordinates, the center of the patch if null
+            this.pivot = null;
+            this.bounds = new THREE.Box3();
             this.create();
         }
 
@@ -212,20 +396,40 @@
             let display = value ? "block" : "none";
             this.translateHandle.style.display =
                 this.rotateHandle.style.display =
+                this.pivotHandle.style.display =
                 this.background.style.display = display;
+            this.scaleHandles.forEach(h => h.element.style.display = display);
+        }
+
+        /**
+         * @returns {THREE.Vector3} The pivot of rotations and scalings
+         */
+        get pivotPosition() {
+            return this.pivot || this;
+        }
+
+        /**
+         * Computes the position of a scale handle
+         * @param {{x: number, y: number}} handle The handle side, -1, 0 or 1 on each axis
+         * @returns {THREE.Vector3} The position in world coordinates
+         */
+        handlePosition(handle) {
+            let center = this.bounds.getCenter(new THREE.Vector3());
+            let pick = (axis, side) => side < 0 ? this.bounds.min[axis] : side > 0 ? this.bounds.max[axis] : center[axis];
+            return new THREE.Vector3(pick("x", handle.x), pick("y", handle.y), 0);
         }
 
         get visible() {
             return this.translateHandle.style.display === "block";
         }
 
-        newDirection(screenPoint) {
+        newDirection(screenPoint, center = this) {
 
             let a0 = this.direction.angle();
 
             this.direction
                 .copy(screenPoint)
-                .sub(this.ownerProjection.worldToScreen(this))
+                .sub(this.ownerProjection.worldToScreen(center))
                 .normalize();
 
             let a1 = this.direction.angle();
@@ -251,6 +455,18 @@
             this.background.style.top = (screenPos.y - Constants.RotateToolRadius) + "px";
             this.background.style.borderColor = this.ownerProjection.options.primaryColor;
 
+            this.bounds.setFromPoints(this.ownerProjection.patch.allControlPoints);
+            for (let h of this.scaleHandles) {
+                let pos = this.ownerProjection.worldToScreen(this.handlePosition(h));
+                h.element.style.left = (pos.x - Constants.ScaleHandleSize / 2) + "px";
+                h.element.style.top = (pos.y - Constants.ScaleHandleSize / 2) + "px";
+                h.element.style.backgroundColor = this.ownerProjection.options.secondaryColor;
+            }
+
+            let pivotPos = this.ownerProjection.worldToScreen(this.pivotPosition);
+            this.pivotHandle.style.left = (pivotPos.x - Constants.PivotHandleSize / 2) + "px";
+            this.pivotHandle.style.top = (pivotPos.y - Constants.PivotHandleSize / 2) + "px";
+            this.pivotHandle.style.borderColor = this.ownerProjection.options.secondaryColor;
 
         }
 
@@ -261,7 +477,7 @@
                 translateHandle.classList.add("bm-translate-handle");
                 translateHandle.style.width = Constants.TranslateHandleSize + "px";
                 translateHandle.style.height = Constants.TranslateHandleSize + "px";
-                translateHandle.addEventListener("mousedown", (evt) => evt.bmTranslateHandle = this);
+                translateHandle.addEventListener("pointerdown", (evt) => evt.bmTranslateHandle = this);
 
 
                 this.translateHandle = translateHandle;
@@ -274,13 +490,47 @@
                 rotateHandle.classList.add("bm-rotate-handle");
                 rotateHandle.style.width = Constants.RotateHandleSize + "px";
                 rotateHandle.style.height = Constants.RotateHandleSize + "px";
-                rotateHandle.addEventListener("mousedown", (evt) => evt.bmRotateHandle = this);
+                rotateHandle.addEventListener("pointerdown", (evt) => evt.bmRotateHandle = this);
 
                 this.rotateHandle = rotateHandle;
                 this.ownerProjection.container.appendChild(rotateHandle);
 
             }
 
+            // Scale handles, at the corners and the middle of the edges of the bounds
+            {
+                this.scaleHandles = [];
+                for (let y of [-1, 0, 1]) {
+                    for (let x of [-1, 0, 1]) {
+                        if (x === 0 && y === 0)
+                            continue;
+
+                        let element = document.createElement("div");
+                        element.classList.add("bm-scale-handle");
+                        element.style.width = Constants.ScaleHandleSize + "px";
+                        element.style.height = Constants.ScaleHandleSize + "px";
+
+                        let handle = { x: x, y: y, element: element };
+                        element.addEventListener("pointerdown", (evt) => evt.bmScaleHandle = handle);
+
+                        this.scaleHandles.push(handle);
+                        this.ownerProjection.container.appendChild(element);
+                    }
+                }
+            }
+
+            // Pivot handle
+            {
+                let pivotHandle = document.createElement("div");
+                pivotHandle.classList.add("bm-pivot-handle");
+                pivotHandle.style.width = Constants.PivotHandleSize + "px";
+                pivotHandle.style.height = Constants.PivotHandleSize + "px";
+                pivotHandle.addEventListener("pointerdown", (evt) => evt.bmPivotHandle = this);
+
+                this.pivotHandle = pivotHandle;
+                this.ownerProjection.container.appendChild(pivotHandle);
+            }
+
             // Background
             {
                 let background = document.createElement("div");
@@ -298,6 +548,8 @@
         dispose() {
             this.ownerProjection.container.removeChild(this.translateHandle);
             this.ownerProjection.container.removeChild(this.rotateHandle);
+            this.ownerProjection.container.removeChild(this.pivotHandle);
+            this.scaleHandles.forEach(h => this.ownerProjection.container.removeChild(h.element));
             this.ownerProjection.container.removeChild(this.background);
         }
 
@@ -334,244 +586,39 @@
         }
 
         /**
-         * Goes back by one element
-         */
-        back() {
-            this.index = Math.max(0, this.index - 1);
-        }
-
-        /**
-         * Goes forward by one element
-         */
-        forward() {
-            this.index = Math.min(this.data.length - 1, this.index + 1);
-        }
-
-    }
-
-    /**
-     * Utility functions
-     */
-    class Util {
-
-
-
-        /**
-         * Computes a weighted average of the given vector array
-         * @private
-         * @param {THREE.Vector3[]} p The points
-         * @param {number[]} w The weights
-         * @param {number} [f] Global factor
-         */
-        static weightedAverage(p, w, f) {
-            if (p.length != w.length)
-                throw new Error("weightedAverage(): invalid parameters");
-
-            f = f || 1;
-
-            let vRes = buffers.vec3[0].set(0, 0, 0);
-            for (let i = 0; i < p.length; i++) {
-                vRes.add(buffers.vec3[1].copy(p[i]).multiplyScalar(w[i]));
-            }
-
-            return vRes.multiplyScalar(f);
-        }
-
-        /**
-         * Constructs an array of the given length and fills it with
-         * objects created with the given constructor function
-         * @param {number} size Size of the new array
-         * @param {function} ctor The constructor function
-         * @param  {...any} args The parameters for the constructor
-         */
-        static makeArray(size, ctor, ...args) {
-            let r = new Array(size);
-            for (let i = 0; i < size; i++)
-                r[i] = new ctor(...args);
-            return r;
-        }
-
-        /**
-         * Computes the Bernstein derivative of grade 3
-         * @param {number} i Index
-         * @param {number} t Curve parameter
-         * @returns {number} The derivative
-         */
-        static computeBernsetinDerivative3(i, t) {
-            let tt = t * t;
-            let mt = 1 - t;
-            let mtt = mt * mt;
-            switch (i) {
-                case 0:
-                    return - 3 * mtt;
-                case 1:
-                    return 3 * (t - 1) * (3 * t - 1);
-                case 2:
-                    return 6 * t - 9 * tt;
-                case 3:
-                    return 3 * tt;
-                default:
-                    throw new Error("Invalid index for B3': " + i);
-            }
-        }
-
-        /**
-         * Computes the Bernsetin polinomial of grade 3
-         * @param {number} i Index 
-         * @param {number} t Curve parameter
-         * @returns {number} The value
-         */
-        static computeBernsteinBasis3(i, t) {
-            let tt = t * t;
-            let ttt = tt * t;
-            let mt = 1 - t;
-            let mtt = mt * mt;
-            let mttt = mtt * mt;
-            switch (i) {
-                case 0:
-                    return mttt;
-                case 1:
-                    return 3 * t * mtt;
-                case 2:
-                    return 3 * tt * mt;
-                case 3:
-                    return ttt;
-                default:
-                    throw new Error("Invalid index for B3: " + i);
-            }
-        }
-
-        /**
-         * Applies the deCasteljau algorithm to the given set of points
-         * @param {number} t Curve parameter 
-         * @param  {...THREE.Vector3} points The points
-         * @returns {THREE.Vector3} The computed point 
-         */
-        static deCasteljau(t, ...points) {
-            let result = [];
-            for (let i = 0; i < points.length - 1; i++) {
-                result.push(new THREE.Vector3().copy(points[i]).lerp(points[i + 1], t));
-            }
-            return result;
-        }
-
-        /**
-         * Subdivides a curve into 2 curves.
-         * @param {*} t Curve parameter 
-         * @param  {...THREE.Vector3} points The points of the curve
-         * @returns {[Vector3[], Vector3[]]} 2 arrays of points containing the 2 curves
+         * @returns {boolean} true if there is an element before the current one
          */
-        static subdivideCurve(t, ...points) {
-
-            points = points.map(p => new THREE.Vector3(p.x, p.y, p.z));
-
-            let c0 = [points[0].clone()];
-            let c1 = [points[points.length - 1].clone()];
-
-            let done = false;
-
-            while (!done) {
-                points = this.deCasteljau(t, ...points);
-
-                c0.push(points[0].clone());
-                c1.splice(0, 0, points[points.length - 1].clone());
-
-                done = points.length === 1;
-
-            }
-
-            return [c0, c1];
-
+        canBack() {
+            return this.index > 0;
         }
 
-    }
-
-    /**
-     * A Bezier curve of grade 3
-     */
-    class BezierCurve3 {
-        /**
-         * @constructor
-         * @param  {...THREE.Vector3} pts The points
-         */
-        constructor(...pts) {
-            if (pts.length !== 4)
-                throw new Error("4 points are required for a bezier curve");
-            this.points = pts;
-        }
         /**
-         * Computes the curve derivative
-         * @param {number} t The curve parameter
-         * @returns {THREE.Vector3} The result
+         * @returns {boolean} true if there is an element after the current one
          */
-        derivative(t) {
-            let result = buffers.vec3[0].set(0, 0, 0);
-            let v = buffers.vec3[1];
-
-            for (let i = 0; i < this.points.length; i++)
-                result.add(v.copy(this.points[i]).multiplyScalar(Util.computeBernsetinDerivative3(i, t)));
-
-            return result;
+        canForward() {
+            return this.index < this.data.length - 1;
         }
 
         /**
-         * Computes the curve at the given point
-         * @param {number} t The curve parameter
-         * @returns The calculated curve
-         */
-        compute(t) {
-            let result = buffers.vec3[0].set(0, 0, 0);
-            let v = buffers.vec3[1];
-
-            for (let i = 0; i < this.points.length; i++)
-                result.add(v.copy(this.points[i]).multiplyScalar(Util.computeBernsteinBasis3(i, t)));
-
-            return result;
-        }
-        /**
-         * Subdivides this curve into 2 curves
-         * @param {number} t The curve parameter 
-         * @returns {BezierCurve3[2]} The resulting 2 curves
+         * Goes back by one element
          */
-        subdivide(t) {
-            return Util.subdivideCurve(this.points).map(v => new BezierCurve3(v));
+        back() {
+            this.index = Math.max(0, this.index - 1);
         }
 
-    }
-
-    /**
-     * Defines a 2d domain for a patch
-     */
-    class Domain {
         /**
-         * @constructor
-         * @param {number} u0 Min u
-         * @param {number} v0 Min V
-         * @param {number} u1 Max U
-         * @param {number} v1 Max V
+         * Goes forward by one element
          */
-        constructor(u0, v0, u1, v1) {
-            this.u0 = u0;
-            this.u1 = u1;
-            this.v0 = v0;
-            this.v1 = v1;
+        forward() {
+            this.index = Math.min(this.data.length - 1, this.index + 1);
         }
 
-        /**
-         * Checks if a point is contained in this domain
-         * @param {number} u 
-         * @param {number} v
-         * @returns {boolean} true if the point is included in the domain, false otherwise 
-         */
-        contains(u, v) {
-            return u >= this.u0 && u <= this.u1 && v >= this.v0 && v <= this.v1;
-        }
     }
 
     /**
      * A control point with a corresponding dom element.
      */
-    class ControlPoint extends THREE.Vector3 {
+    class ControlPoint extends core.ControlPoint {
 
         /**
          * Creates a new control point and adds his dom element to the UI
@@ -585,61 +632,17 @@
             super(x, y, z);
             this.ownerProjection = ownerProjection;
             this.domElement = document.createElement("div");
-            this.parent = null;
-            this.mirrorMode = false;
             this.create();
         }
 
-        /**
-         * Helper function to create a control point from a THREE.Vector3
-         * @param {BezierMeshProjection} ownerProjection An instance of BezierMeshProjection containing the new control point
-         * @param {THREE.Vector3} point The point to copy the coordinates from 
-         * @returns {ControlPoint} The new control point
-         */
-        static fromVector(ownerProjection, point) {
-            return new ControlPoint(ownerProjection, point.x, point.y, point.z);
-        }
-
         set visible(v) {
-            this.domElement.style.display = v ? "block" : "none";
+            this.domElement.style.display = v && !this.hidden ? "block" : "none";
         }
 
         get visible() {
             return this.domElement.style.display === "none";
         }
 
-
-        /**
-         * Sets this control point to mirror another control point
-         * @param {ControlPoint} other The point to mirror
-         * @param {ControlPoint} reference The reference point for mirroring
-         */
-        mirror(other, reference) {
-            if (other && reference) {
-                this.mirrorPoint = {
-                    other: other,
-                    reference: reference
-                }
-            } else {
-                this.mirrorPoint = null;
-            }
-        }
-
-
-        /**
-         * Moves this control point by the given offset
-         * @param {THREE.Vector3} offset The offset
-         * @param {boolean} mirror Is mirror active?
-         */
-        moveBy(offset, mirror) {
-            this.add(offset);
-
-            if (mirror && this.mirrorPoint) {
-                offset = buffers.vec3[0].copy(this.mirrorPoint.reference).sub(this);
-                this.mirrorPoint.other.copy(this.mirrorPoint.reference).add(offset);
-            }
-
-        }
         /**
          * Updates this control point, moving the corresponding DOM element
          * to the correct position, and updates the CSS style
@@ -653,6 +656,10 @@
             this.domElement.style.left = (screenPos.x - Constants.ControlPointSize / 2) + "px";
             this.domElement.style.top = (screenPos.y - Constants.ControlPointSize / 2) + "px";
             this.domElement.style.backgroundColor = color;
+
+            if (this.domElement.dataset.continuity !== this.continuity)
+                this.domElement.dataset.continuity = this.continuity;
+            this.domElement.classList.toggle("bm-locked", this.locked);
         }
 
         /**
@@ -663,8 +670,8 @@
             this.domElement.classList.add("bm-control-point");
             this.domElement.style.width = Constants.ControlPointSize + "px";
             this.domElement.style.height = Constants.ControlPointSize + "px";
-            this.domElement.addEventListener("mousedown", (evt) => { evt.bmControlPoint = this; })
-            this.domElement.addEventListener("mouseup", (evt) => { evt.bmControlPoint = this; })
+            this.domElement.addEventListener("pointerdown", (evt) => { evt.bmControlPoint = this; })
+            this.domElement.addEventListener("pointerup", (evt) => { evt.bmControlPoint = this; })
             this.ownerProjection.container.appendChild(this.domElement);
         }
 
@@ -686,627 +693,319 @@
             return new ControlPoint(this.ownerProjection, this.x, this.y, this.z);
         }
 
-        /**
-         * @returns {THREE.Vector3} A vector with the same position as this control poi
-         */
-        toVector3() {
-            return new THREE.Vector3(this.x, this.y, this.z);
-        }
-
     }
 
     /**
-     * A composite patch
+     * A composite patch whose control points are shown in the UI
      */
-    class Patch {
+    class Patch extends core.Patch {
         /**
          * @constructor
          * @param {BezierMeshProjection} ownerProjection The projection holding this patch
+         * @param {Layer} ownerLayer The layer holding this patch
          */
-        constructor(ownerProjection) {
+        constructor(ownerProjection, ownerLayer) {
+            super();
             this.ownerProjection = ownerProjection;
-            this.dispose();
+            this.ownerLayer = ownerLayer;
         }
 
         /**
-         * Initializes this patch with a single bicubic bezier patch given
-         * the 4 corners. The other control points are interpolated
-         * @param {THREE.Vector3} topLeft Top left corner
-         * @param {THREE.Vector3} topRight Top right corner
-         * @param {THREE.Vector3} bottomLeft Bottom left corner
-         * @param {THREE.Vector3} bottomRight Bottom right corner
+         * Creates a new control point with a corresponding dom element
+         * @param {number} [x] The x coordinate
+         * @param {number} [y] The y coordinate
+         * @param {number} [z] The z coordinate
+         * @returns {ControlPoint} The new control point
          */
-        initFromCorners(topLeft, topRight, bottomLeft, bottomRight) {
-
-            let cp = Util.makeArray(16, ControlPoint, this.ownerProjection);
-
-            cp[12].copy(topLeft);
-            cp[15].copy(topRight)
-            cp[0].copy(bottomLeft)
-            cp[3].copy(bottomRight);
-
-            // Autocompute outline CPS
-            cp[1].copy(cp[0]).lerp(cp[3], 1 / 3);
-            cp[2].copy(cp[0]).lerp(cp[3], 2 / 3);
-
-            cp[4].copy(cp[0]).lerp(cp[12], 1 / 3);
-            cp[8].copy(cp[0]).lerp(cp[12], 2 / 3);
-
-            cp[13].copy(cp[12]).lerp(cp[15], 1 / 3);
-            cp[14].copy(cp[12]).lerp(cp[15], 2 / 3);
-
-            cp[7].copy(cp[3]).lerp(cp[15], 1 / 3);
-            cp[11].copy(cp[3]).lerp(cp[15], 2 / 3);
-
-
-            // Auto compute mid points
-            cp[5].copy(cp[4]).lerp(cp[7], 1 / 3);
-            cp[6].copy(cp[4]).lerp(cp[7], 2 / 3);
-            cp[9].copy(cp[8]).lerp(cp[11], 1 / 3);
-            cp[10].copy(cp[8]).lerp(cp[11], 2 / 3);
-
-            this.dispose();
-
-            let initialBezierPatch = new BezierPatch3(this.ownerProjection, new Domain(0, 0, 1, 1), cp);
-            this.bezierPatches = new Grid(1, 1);
-            this.bezierPatches.set(0, 0, initialBezierPatch);
-
-            this.relinkControlPoints();
-
+        createControlPoint(x, y, z) {
+            return new ControlPoint(this.ownerProjection, x, y, z);
         }
 
-        rotateZ(pivot, angle) {
-
-            let mat4 = () => new THREE.Matrix4();
-
-            let matrix = mat4()
-                .makeTranslation(pivot.x, pivot.y, pivot.z)
-                .multiply(mat4().makeRotationZ(angle))
-                .multiply(mat4().makeTranslation(-pivot.x, -pivot.y, -pivot.z));
-
-            for (let p of this.allControlPoints)
-                p.applyMatrix4(matrix);
-
+        /**
+         * Updates this patch using the mode of its layer
+         */
+        update() {
+            super.update(this.ownerLayer.options.mode);
         }
 
-        translate(offset) {
-            for (let p of this.allControlPoints)
-                p.add(offset);
-        }
+    }
 
+    /**
+     * A warp layer: a patch with its own texture, mode and grid settings
+     */
+    class Layer {
         /**
-         * Disposes the resources associated with this patch
+         * @constructor
+         * @param {BezierMeshProjection} ownerProjection The projection holding this layer
+         * @param {object} [options] Layer options. See LayerDefaults for the available options
          */
-        dispose() {
-            if (this.bezierPatches)
-                this.bezierPatches.forEach(p => p.dispose());
-            this.bezierPatches = [];
+        constructor(ownerProjection, options) {
+            this.ownerProjection = ownerProjection;
+            this.options = Object.assign({}, LayerDefaults, options);
+            this.patch = new Patch(ownerProjection, this);
+            this.meshes = {};
+            this.lattice = null;
+            this.gridPoints = [];
         }
 
         /**
-         * Recreates all the links for all the control points.
+         * Creates the meshes of this layer and adds them to the projection scene,
+         * replacing the previous ones
          */
-        relinkControlPoints() {
+        createMeshes() {
 
-            // Create unique array of control points (for performance purposes)
-            this.allControlPoints = []
-            for (let p of this.bezierPatches)
-                for (let c of p.controlPoints)
-                    if (!this.allControlPoints.includes(c))
-                        this.allControlPoints.push(c);
+            this.disposeMeshes();
 
+            let gw = this.options.gridWidth + 1;
+            let gh = this.options.gridHeight + 1;
 
-            for (let p of this.bezierPatches) {
-                let cp = p.controlPoints;
-                cp.forEach(c => c.mirror(null, null));
-            }
+            // Init grid points buffer;
+            this.gridPoints = new Array(gw * gh);
+            for (let i = 0; i < this.gridPoints.length; i++)
+                this.gridPoints[i] = new THREE.Vector3();
 
-            for (let i = 0; i < this.bezierPatches.rowCount; i++) {
-                for (let j = 0; j < this.bezierPatches.colCount; j++) {
-                    let cur = this.bezierPatches.get(i, j);
-                    let left = this.bezierPatches.get(i, j - 1);
-                    let right = this.bezierPatches.get(i, j + 1);
-                    let bottom = this.bezierPatches.get(i - 1, j);
-                    let top = this.bezierPatches.get(i + 1, j);
-                    let cp = cur.controlPoints;
+            // Create plane mesh
+            {
 
-                    if (left) {
-                        cp[1].mirror(left.controlPoints[2], cp[0]);
-                        cp[13].mirror(left.controlPoints[14], cp[12]);
-                    }
+                this.lattice = this.patch.uniformLattice(this.options.gridWidth, this.options.gridHeight);
 
-                    if (right) {
-                        cp[2].mirror(right.controlPoints[1], cp[3]);
-                        cp[14].mirror(right.controlPoints[13], cp[15]);
-                    }
+                let planeGeom = this.createPlaneGeometry(this.lattice);
 
-                    if (bottom) {
-                        cp[4].mirror(bottom.controlPoints[8], cp[0]);
-                        cp[7].mirror(bottom.controlPoints[11], cp[3]);
-                    }
-
-                    if (top) {
-                        cp[8].mirror(top.controlPoints[4], cp[12]);
-                        cp[11].mirror(top.controlPoints[7], cp[15]);
-                    }
+                this.meshes.plane = new THREE.Mesh(planeGeom, new THREE.MeshBasicMaterial({
+                    color: 0xffffff,
+                    depthTest: false
+                }));
+                this.meshes.plane.name = this.options.name;
 
-                    if (!left && !bottom) {
-                        cp[1].mirror(cp[4], cp[0]);
-                        cp[4].mirror(cp[1], cp[0]);
-                    }
+                this.ownerProjection.scene.add(this.meshes.plane);
 
-                    if (!left && !top) {
-                        cp[8].mirror(cp[13], cp[12]);
-                        cp[13].mirror(cp[8], cp[12]);
-                    }
+                let material = this.meshes.plane.material;
+                this.ownerProjection.textures.load(this.options.texture).then((tex) => {
+                    material.map = tex;
+                    material.transparent = true;
+                    material.needsUpdate = true;
+                }).catch(() => {
+                    // Already reported by the textureerror event, the layer stays untextured
+                });
 
-                    if (!right && !top) {
-                        cp[14].mirror(cp[11], cp[15]);
-                        cp[11].mirror(cp[14], cp[15]);
-                    }
 
-                    if (!right && !bottom) {
-                        cp[2].mirror(cp[7], cp[3]);
-                        cp[7].mirror(cp[2], cp[3]);
-                    }
-                }
             }
 
-        }
 
-        /**
-         * Serializes this patch data.
-         * @returns {object} The serialized patch
-         */
-        save() {
+            // Create grid lines mesh
+            {
+                let indices = [];
 
-            let ref = (p) => {
-                if (!p["$ref"] === undefined)
-                    throw new Error("Serialize error");
-                return p["$ref"];
-            }
-
-            let serialize = (o) => {
-                return JSON.parse(JSON.stringify(o));
-            }
-
-            // 1. Create control points reference + export data
-            let refCount = 0;
-            let controlPointsData = [];
-            this.bezierPatches.forEach(patch => {
-                for (let point of patch.controlPoints) {
-                    if (point["$ref"] === undefined) {
-                        point["$ref"] = refCount;
-                        controlPointsData.push({
-                            x: point.x,
-                            y: point.y,
-                            z: point.z
-                        });
-                        refCount++;
+                // Horizontal lines
+                for (let y = 0; y < gh; y++) {
+                    for (let x = 0; x < gw - 1; x++) {
+                        indices.push(y * gw + x, y * gw + x + 1);
                     }
                 }
-            });
-
-
-            // Assemble patch export data
-            let patchesData = [];
-            this.bezierPatches.forEach(patch => {
-                patchesData.push({
-                    controlPoints: patch.controlPoints.map(p => ref(p)),
-                    domain: serialize(patch.domain)
-                });
-            });
-
-
-            // Clear references
-            this.bezierPatches.forEach(p => p.controlPoints.forEach(c => delete c["$ref"]));
-
-            return {
-                rows: this.bezierPatches.rowCount,
-                cols: this.bezierPatches.colCount,
-                patches: patchesData,
-                controlPoints: controlPointsData
-            }
 
-        }
-
-        /**
-         * Restores a serialized patch
-         * @param {object} savedInstance The serialized patch data
-         */
-        restore(savedInstance) {
+                // Vertical lines
+                for (let x = 0; x < gw; x++) {
+                    for (let y = 0; y < gh - 1; y++) {
+                        indices.push(y * gw + x, (y + 1) * gw + x);
+                    }
+                }
 
-            this.dispose();
+                let linesGeom = new THREE.BufferGeometry();
 
-            // Create new grid
-            this.bezierPatches = new Grid(savedInstance.rows, savedInstance.cols);
+                linesGeom.addAttribute("position", new THREE.BufferAttribute(new Float32Array(gw * gh * 3), 3));
+                linesGeom.setIndex(indices);
 
-            // Create distinct control points array
-            let controlPoints = savedInstance.controlPoints.map(p => new ControlPoint(this.ownerProjection, p.x, p.y, p.z));
+                this.meshes.gridLines = new THREE.LineSegments(linesGeom, new THREE.LineBasicMaterial({
+                    color: this.ownerProjection.options.gridColor,
+                    opacity: 0.5,
+                    transparent: true,
+                    depthTest: false
+                }));
+                this.ownerProjection.scene.add(this.meshes.gridLines);
 
-            // Restore patches
-            let i = 0;
-            for (let patchData of savedInstance.patches) {
-                let cps = patchData.controlPoints.map(x => controlPoints[x]);
-                let row = Math.floor(i / savedInstance.cols);
-                let col = i % savedInstance.cols;
-                this.bezierPatches.set(row, col, new BezierPatch3(
-                    this.ownerProjection,
-                    new Domain(patchData.domain.u0, patchData.domain.v0, patchData.domain.u1, patchData.domain.v1),
-                    cps
-                ));
-                ++i;
             }
 
-            this.relinkControlPoints();
-
-        }
-
-        /**
-         * Computes the value of this patch at the given coordinates
-         * @param {number} u The u coordinate
-         * @param {number} v The v coordinate
-         * @param {"bezier"|"linear"} mode The computation mode
-         * @returns {THREE.Vector3} The value of the patch
-         */
-        compute(u, v, mode) {
-            for (let p of this.bezierPatches) {
-                if (p.domain.contains(u, v))
-                    return p.compute(u, v, mode);
-            };
-        }
-
-        /**
-         * Updates this patch
-         */
-        update() {
-            this.bezierPatches.forEach(p => p.update());
         }
 
         /**
-         * Subdivides this patch along the u coordinate
-         * @param {number} u The u coordinate
+         * Creates the geometry of the plane mesh for the given lattice. Positions are
+         * computed later, in updateMeshes().
+         * @private
+         * @param {{ u: number[], v: number[] }} lattice The u and v coordinates of the lattice lines
+         * @returns {THREE.BufferGeometry} The geometry
          */
-        subdivideVertical(u) {
-            let colIndex = this.bezierPatches.columns().findIndex(r => r[0].domain.u0 <= u && r[0].domain.u1 >= u);
-            let col = this.bezierPatches.columns()[colIndex];
-
-            let leftPatches = [];
-            let rightPatches = [];
-
-
-            /* Subdivided curves
-                                cut point
-            d0 --------------------|--------------------- d1
-                                   |
-                                   |
-            c0 --------------------|--------------------- c1
-                                   |
-                                   |
-            b0 --------------------|--------------------- b1
-                                   |
-                                   |
-            a0 --------------------|--------------------- a1
+        createPlaneGeometry(lattice) {
 
-            */
+            let gw = lattice.u.length;
+            let gh = lattice.v.length;
 
+            // Indices
+            let indices = [];
 
-            for (let i = 0; i < this.bezierPatches.rowCount; i++) {
+            for (let y = 0; y < gh - 1; y++) {
+                for (let x = 0; x < gw - 1; x++) {
+                    let a = y * gw + x;
+                    let b = y * gw + x + 1;
+                    let c = (y + 1) * gw + x;
+                    let d = (y + 1) * gw + x + 1;
 
-                let cur = col[i];
-
-                let localU = (u - cur.domain.u0) / (cur.domain.u1 - cur.domain.u0);
-
-                let a = Util.subdivideCurve(localU, cur.controlPoints[0], cur.controlPoints[1], cur.controlPoints[2], cur.controlPoints[3]);
-                let b = Util.subdivideCurve(localU, cur.controlPoints[4], cur.controlPoints[5], cur.controlPoints[6], cur.controlPoints[7]);
-                let c = Util.subdivideCurve(localU, cur.controlPoints[8], cur.controlPoints[9], cur.controlPoints[10], cur.controlPoints[11]);
-                let d = Util.subdivideCurve(localU, cur.controlPoints[12], cur.controlPoints[13], cur.controlPoints[14], cur.controlPoints[15]);
-
-
-                let ptsLeft = new Array(16).fill(null);
-                let ptsRight = new Array(16).fill(null);
-
-                if (i > 0) {
-                    ptsLeft[0] = leftPatches[i - 1].controlPoints[12];
-                    ptsLeft[1] = leftPatches[i - 1].controlPoints[13];
-                    ptsLeft[2] = leftPatches[i - 1].controlPoints[14];
-                    ptsLeft[3] = leftPatches[i - 1].controlPoints[15];
-
-                    ptsRight[0] = rightPatches[i - 1].controlPoints[12];
-                    ptsRight[1] = rightPatches[i - 1].controlPoints[13];
-                    ptsRight[2] = rightPatches[i - 1].controlPoints[14];
-                    ptsRight[3] = rightPatches[i - 1].controlPoints[15];
-
-                } else {
-                    ptsLeft[0] = cur.controlPoints[0];
-                    ptsLeft[1] = cur.controlPoints[1].copy(a[0][1]);
-                    ptsLeft[2] = ControlPoint.fromVector(this.ownerProjection, a[0][2]);
-
-                    ptsRight[3] = cur.controlPoints[3];
-                    ptsRight[2] = cur.controlPoints[2].copy(a[1][2]);
-                    ptsRight[1] = ControlPoint.fromVector(this.ownerProjection, a[1][1]);
-
-                    ptsLeft[3] = ptsRight[0] = ControlPoint.fromVector(this.ownerProjection, a[1][0]);
+                    indices.push(a, b, c);
+                    indices.push(b, d, c);
 
                 }
+            }
 
-                ptsLeft[4] = cur.controlPoints[4];
-                ptsLeft[8] = cur.controlPoints[8];
-                ptsLeft[12] = cur.controlPoints[12];
-                ptsLeft[13] = cur.controlPoints[13].copy(d[0][1]);
-                ptsLeft[14] = ControlPoint.fromVector(this.ownerProjection, d[0][2]);
-
-                ptsLeft[5] = cur.controlPoints[5].copy(b[0][1]);
-                ptsLeft[9] = cur.controlPoints[6].copy(c[0][1]);
-                ptsLeft[6] = ControlPoint.fromVector(this.ownerProjection, b[0][2]);
-                ptsLeft[10] = ControlPoint.fromVector(this.ownerProjection, c[0][2]);
-
-                ptsRight[7] = cur.controlPoints[7];
-                ptsRight[11] = cur.controlPoints[11];
-                ptsRight[15] = cur.controlPoints[15];
-                ptsRight[14] = cur.controlPoints[14].copy(d[1][2]);
-                ptsRight[13] = ControlPoint.fromVector(this.ownerProjection, d[1][1]);
-
-                ptsRight[5] = ControlPoint.fromVector(this.ownerProjection, b[1][1]);
-                ptsRight[9] = ControlPoint.fromVector(this.ownerProjection, c[1][1]);
-                ptsRight[6] = cur.controlPoints[9].copy(b[1][2]);
-                ptsRight[10] = cur.controlPoints[10].copy(c[1][2]);
-
-                ptsLeft[7] = ptsRight[4] = ControlPoint.fromVector(this.ownerProjection, b[1][0]);
-                ptsLeft[11] = ptsRight[8] = ControlPoint.fromVector(this.ownerProjection, c[1][0]);
-                ptsLeft[15] = ptsRight[12] = ControlPoint.fromVector(this.ownerProjection, d[1][0]);
+            // Normals
+            let normals = [];
+            for (let i = 0; i < gw * gh; i++)
+                normals.push(0, 0, 1);
 
-                leftPatches.push(new BezierPatch3(
-                    this.ownerProjection,
-                    new Domain(cur.domain.u0, cur.domain.v0, u, cur.domain.v1),
-                    ptsLeft
-                ));
+            // UVs
+            let uvs = [];
 
-                rightPatches.push(new BezierPatch3(
-                    this.ownerProjection,
-                    new Domain(u, cur.domain.v0, cur.domain.u1, cur.domain.v1),
-                    ptsRight
-                ));
+            for (let y = 0; y < gh; y++) {
+                for (let x = 0; x < gw; x++) {
+                    uvs.push(lattice.u[x], lattice.v[y]);
+                }
             }
 
-            this.bezierPatches.insertColumn(colIndex + 1);
-            this.bezierPatches.insertColumn(colIndex + 2);
-
-            for (let i = 0; i < this.bezierPatches.rowCount; i++) {
-                this.bezierPatches.set(i, colIndex + 1, leftPatches[i]);
-                this.bezierPatches.set(i, colIndex + 2, rightPatches[i]);
-            }
+            let planeGeom = new THREE.BufferGeometry();
 
-            this.bezierPatches.deleteColumn(colIndex);
+            planeGeom.addAttribute("position", new THREE.BufferAttribute(new Float32Array(gw * gh * 3), 3));
+            planeGeom.addAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+            planeGeom.addAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
+            planeGeom.setIndex(indices);
 
-            this.relinkControlPoints();
+            return planeGeom;
         }
 
         /**
-         * Subdivides this patch along the v coordinate
-         * @param {number} v The v coordinate
+         * Updates the meshes of this layer
+         * @param {number} order The position of this layer in the layer stack
+         * @param {number} pixelsPerUnit Screen pixels per world unit, for adaptive tessellation
          */
-        subdivideHorizontal(v) {
-            let rowIndex = this.bezierPatches.rows().findIndex(r => r[0].domain.v0 <= v && r[0].domain.v1 >= v);
-            let row = this.bezierPatches.rows()[rowIndex];
-
-            let topPatches = [];
-            let bottomPatches = [];
-
-
-            /* Subdivided curves
-            a1      b1      c1      d1
-            |       |       |       |
-            |       |       |       |
-            |       |       |       |
-            |       |       |       |
-            |       |       |       |
-            ---------------------------- cut point
-            |       |       |       |
-            |       |       |       |
-            |       |       |       |
-            |       |       |       |
-            |       |       |       |
-            a0      b0      c0      d0
-
-            */
-
-
-            for (let j = 0; j < this.bezierPatches.colCount; j++) {
-
-                let cur = row[j];
-
-                let localV = (v - cur.domain.v0) / (cur.domain.v1 - cur.domain.v0);
-
-                let a = Util.subdivideCurve(localV, cur.controlPoints[0], cur.controlPoints[4], cur.controlPoints[8], cur.controlPoints[12]);
-                let b = Util.subdivideCurve(localV, cur.controlPoints[1], cur.controlPoints[5], cur.controlPoints[9], cur.controlPoints[13]);
-                let c = Util.subdivideCurve(localV, cur.controlPoints[2], cur.controlPoints[6], cur.controlPoints[10], cur.controlPoints[14]);
-                let d = Util.subdivideCurve(localV, cur.controlPoints[3], cur.controlPoints[7], cur.controlPoints[11], cur.controlPoints[15]);
+        updateMeshes(order, pixelsPerUnit) {
 
+            const gw = this.options.gridWidth + 1;
+            const gh = this.options.gridHeight + 1;
+            const mode = this.options.mode;
 
-                let ptsTop = new Array(16).fill(null);
-                let ptsBottom = new Array(16).fill(null);
+            // Layers are drawn in stack order, each one with its grid lines on top
+            this.meshes.plane.renderOrder = order * 2;
+            this.meshes.gridLines.renderOrder = order * 2 + 1;
+            this.meshes.plane.visible = this.options.visible;
+            this.meshes.gridLines.visible = this.options.visible && this === this.ownerProjection.activeLayer;
 
-                if (j > 0) {
-                    ptsBottom[0] = bottomPatches[j - 1].controlPoints[3];
-                    ptsBottom[4] = bottomPatches[j - 1].controlPoints[7];
-                    ptsBottom[8] = bottomPatches[j - 1].controlPoints[11];
-                    ptsBottom[12] = bottomPatches[j - 1].controlPoints[15];
+            // Compute grid points
+            {
+                for (let x = 0; x < gw; x++) {
+                    for (let y = 0; y < gh; y++) {
+                        let point = this.patch.compute(x / (gw - 1), y / (gh - 1), mode);
+                        this.gridPoints[y * gw + x].copy(point);
+                    }
+                }
+            }
 
-                    ptsTop[0] = topPatches[j - 1].controlPoints[3];
-                    ptsTop[4] = topPatches[j - 1].controlPoints[7];
-                    ptsTop[8] = topPatches[j - 1].controlPoints[11];
-                    ptsTop[12] = topPatches[j - 1].controlPoints[15];
+            // Update the plane lattice. In adaptive mode the tolerance is given in screen pixels,
+            // so the lattice changes with zoom
+            {
+                let lattice;
 
+                if (this.options.tessellation === "adaptive") {
+                    lattice = this.patch.adaptiveLattice(mode, this.options.tolerance / pixelsPerUnit);
                 } else {
-                    ptsBottom[0] = cur.controlPoints[0];
-                    ptsBottom[4] = cur.controlPoints[4].copy(a[0][1]);
-                    ptsBottom[8] = ControlPoint.fromVector(this.ownerProjection, a[0][2]);
-
-                    ptsTop[12] = cur.controlPoints[12];
-                    ptsTop[8] = cur.controlPoints[8].copy(a[1][2]);
-                    ptsTop[4] = ControlPoint.fromVector(this.ownerProjection, a[1][1]);
+                    lattice = this.patch.uniformLattice(this.options.gridWidth, this.options.gridHeight);
+                }
 
-                    ptsBottom[12] = ptsTop[0] = ControlPoint.fromVector(this.ownerProjection, a[1][0]);
+                let equals = (a, b) => a.length === b.length && a.every((e, i) => e === b[i]);
 
+                if (!equals(lattice.u, this.lattice.u) || !equals(lattice.v, this.lattice.v)) {
+                    this.meshes.plane.geometry.dispose();
+                    this.meshes.plane.geometry = this.createPlaneGeometry(lattice);
+                    this.lattice = lattice;
                 }
+            }
 
-                ptsBottom[1] = cur.controlPoints[1];
-                ptsBottom[2] = cur.controlPoints[2];
-                ptsBottom[3] = cur.controlPoints[3];
-                ptsBottom[7] = cur.controlPoints[7].copy(d[0][1]);
-                ptsBottom[11] = ControlPoint.fromVector(this.ownerProjection, d[0][2]);
+            // Update meshes
+            {
+                let linesPositions = this.meshes.gridLines.geometry.attributes.position;
+                let planePositions = this.meshes.plane.geometry.attributes.position;
 
-                ptsBottom[5] = cur.controlPoints[5].copy(b[0][1]);
-                ptsBottom[6] = cur.controlPoints[6].copy(c[0][1]);
-                ptsBottom[9] = ControlPoint.fromVector(this.ownerProjection, b[0][2]);
-                ptsBottom[10] = ControlPoint.fromVector(this.ownerProjection, c[0][2]);
+                for (let x = 0; x < gw; x++) {
+                    for (let y = 0; y < gh; y++) {
+                        let idx = y * gw + x;
+                        let bufIdx = idx * 3;
 
-                ptsTop[13] = cur.controlPoints[13];
-                ptsTop[14] = cur.controlPoints[14];
-                ptsTop[15] = cur.controlPoints[15];
-                ptsTop[11] = cur.controlPoints[11].copy(d[1][2]);
-                ptsTop[7] = ControlPoint.fromVector(this.ownerProjection, d[1][1]);
+                        linesPositions.array[bufIdx + 0] = this.gridPoints[idx].x;
+                        linesPositions.array[bufIdx + 1] = this.gridPoints[idx].y;
+                        linesPositions.array[bufIdx + 2] = 0.01;
+                    }
+                }
 
-                ptsTop[5] = ControlPoint.fromVector(this.ownerProjection, b[1][1]);
-                ptsTop[6] = ControlPoint.fromVector(this.ownerProjection, c[1][1]);
-                ptsTop[9] = cur.controlPoints[9].copy(b[1][2]);
-                ptsTop[10] = cur.controlPoints[10].copy(c[1][2]);
+                let lw = this.lattice.u.length;
+                let lh = this.lattice.v.length;
 
-                ptsBottom[13] = ptsTop[1] = ControlPoint.fromVector(this.ownerProjection, b[1][0]);
-                ptsBottom[14] = ptsTop[2] = ControlPoint.fromVector(this.ownerProjection, c[1][0]);
-                ptsBottom[15] = ptsTop[3] = ControlPoint.fromVector(this.ownerProjection, d[1][0]);
+                for (let x = 0; x < lw; x++) {
+                    for (let y = 0; y < lh; y++) {
+                        let point = this.patch.compute(this.lattice.u[x], this.lattice.v[y], mode);
+                        let bufIdx = (y * lw + x) * 3;
 
-                bottomPatches.push(new BezierPatch3(
-                    this.ownerProjection,
-                    new Domain(cur.domain.u0, cur.domain.v0, cur.domain.u1, v),
-                    ptsBottom
-                ));
+                        planePositions.array[bufIdx + 0] = point.x;
+                        planePositions.array[bufIdx + 1] = point.y;
+                        planePositions.array[bufIdx + 2] = 0;
+                    }
+                }
 
-                topPatches.push(new BezierPatch3(
-                    this.ownerProjection,
-                    new Domain(cur.domain.u0, v, cur.domain.u1, cur.domain.v1),
-                    ptsTop
-                ));
-            }
+                linesPositions.needsUpdate = true;
+                planePositions.needsUpdate = true;
 
-            this.bezierPatches.inserRow(rowIndex + 1);
-            this.bezierPatches.inserRow(rowIndex + 2);
+                this.meshes.plane.geometry.computeBoundingSphere();
+                this.meshes.plane.geometry.computeBoundingBox();
 
-            for (let j = 0; j < this.bezierPatches.colCount; j++) {
-                this.bezierPatches.set(rowIndex + 1, j, bottomPatches[j]);
-                this.bezierPatches.set(rowIndex + 2, j, topPatches[j]);
             }
 
-            this.bezierPatches.deleteRow(rowIndex);
-
-            this.relinkControlPoints();
-
         }
 
-    }
-
-    /**
-     * A bicubic bezier patch
-     */
-    class BezierPatch3 {
         /**
-         * @constructor
-         * @param {BezierMeshProjection} ownerProjection The projection owning this patch
-         * @param {Domain} domain The patch's domain
-         * @param {ControlPoint[16]} controlPoints The patch's control points
+         * Serializes this layer
+         * @returns {object} The serialized layer
          */
-        constructor(ownerProjection, domain, controlPoints) {
-            this.ownerProjection = ownerProjection;
-            this.controlPoints = controlPoints;
-            this.domain = domain;
+        save() {
+            return {
+                options: Object.assign({}, this.options),
+                patchData: this.patch.save()
+            };
         }
 
         /**
-         * Computes this patch at the given coordinates
-         * @param {number} u The u coordinate
-         * @param {number} v The v coordinate
-         * @param {"linear"|"bezier"} mode The computation mode
-         * @returns {THREE.Vector3} The value of the patch
+         * Restores a serialized layer
+         * @param {object} savedInstance The serialized layer data
          */
-        compute(u, v, mode) {
-
-            u = (u - this.domain.u0) / (this.domain.u1 - this.domain.u0);
-            v = (v - this.domain.v0) / (this.domain.v1 - this.domain.v0);
-
-            if (mode === "linear") {
-                let v0 = buffers.vec3[0].copy(this.controlPoints[0]);
-                let v1 = buffers.vec3[1].copy(this.controlPoints[12]);
-
-                v0.lerp(this.controlPoints[3], u);
-                v1.lerp(this.controlPoints[15], u);
-
-                return v0.lerp(v1, v);
-            } else if (mode === "bezier") {
-                let pRes = buffers.vec3[0].set(0, 0, 0);
-                let p0 = buffers.vec3[1];
-
-                for (let y = 0; y < 4; y++) {
-                    for (let x = 0; x < 4; x++) {
-                        let b = Util.computeBernsteinBasis3(x, u) * Util.computeBernsteinBasis3(y, v);
-                        pRes.add(p0.copy(this.controlPoints[y * 4 + x]).multiplyScalar(b));
-                    }
-                }
-                return pRes;
-
-            } else {
-                throw new Error("Invalid patch compute mode: " + mode);
-            }
-        }
-
-
-        computeAutomaticControlPoints() {
-
-            let cp = this.controlPoints;
-
-            // Autocompute outline CPS
-            cp[1].copy(cp[0]).lerp(cp[3], 1 / 3);
-            cp[2].copy(cp[0]).lerp(cp[3], 2 / 3);
-
-            cp[4].copy(cp[0]).lerp(cp[12], 1 / 3);
-            cp[8].copy(cp[0]).lerp(cp[12], 2 / 3);
-
-            cp[13].copy(cp[12]).lerp(cp[15], 1 / 3);
-            cp[14].copy(cp[12]).lerp(cp[15], 2 / 3);
-
-            cp[7].copy(cp[3]).lerp(cp[15], 1 / 3);
-            cp[11].copy(cp[3]).lerp(cp[15], 2 / 3);
-
-
-            // Auto compute mid points
-            cp[5].copy(cp[4]).lerp(cp[7], 1 / 3);
-            cp[6].copy(cp[4]).lerp(cp[7], 2 / 3);
-            cp[9].copy(cp[8]).lerp(cp[11], 1 / 3);
-            cp[10].copy(cp[8]).lerp(cp[11], 2 / 3);
+        restore(savedInstance) {
+            Object.assign(this.options, savedInstance.options);
+            this.patch.restore(savedInstance.patchData);
         }
 
         /**
-         * Updates this patch
+         * Removes the meshes of this layer from the scene and releases them
          */
-        update() {
-            // Compute middle control points
-            let cp = this.controlPoints;
-            const mode = this.ownerProjection.options.mode;
-
-            if (mode === "linear") {
-                // Autocompute outline CPS
-                this.computeAutomaticControlPoints();
+        disposeMeshes() {
+            for (let name in this.meshes) {
+                let mesh = this.meshes[name];
+                if (mesh.parent)
+                    mesh.parent.remove(mesh);
+                mesh.geometry.dispose();
+                mesh.material.dispose();
             }
-
-
-            cp.forEach(p => p.update());
+            this.meshes = {};
         }
 
         /**
-         * Releases all the resources associated with this patch
+         * Releases all the resources associated with this layer
          */
         dispose() {
-            this.controlPoints.forEach(p => p.dispose());
+            this.disposeMeshes();
+            this.patch.dispose();
         }
 
     }
@@ -1321,26 +1020,68 @@
      * @param {string} [options.gridColor] Color used for grid lines and grid points.
      * @param {string} [options.primaryColor] Primary UI color
      * @param {string} [options.secondaryColor] Secondary UI color
-     * @param {"bezier"|"linear"} [options.mode] Interpolation mode
+     * @param {"bezier"|"linear"|"perspective"} [options.mode] Interpolation mode. In perspective mode each sub-patch
+     * is mapped with the homography of its 4 corners, which shows flat surfaces in true perspective
+     * @param {"uniform"|"adaptive"} [options.tessellation] Tessellation mode. In uniform mode the surface is tessellated
+     * with a gridWidth x gridHeight lattice; in adaptive mode each column and each row of sub-patches is subdivided as
+     * finely as its most curved sub-patch needs to meet the tolerance (see Patch.adaptiveLattice())
+     * @param {number} [options.tolerance] Maximum distance in screen pixels between the tessellated and the real surface (adaptive mode only)
      * @param {string} [options.texture] The url of the texture to be used
      * @param {string} [options.background] The image to be placed in the background
+     * @param {boolean} [options.snapToPixels] Snap dragged points to integer background pixels
+     * @param {boolean} [options.snapToPoints] Snap dragged points to the other control points
+     * @param {boolean} [options.snapToOutlines] Snap dragged points to the outline of the other sub-patches
+     * @param {boolean} [options.snapToGuides] Snap dragged points to the guides (see addGuide())
+     * @param {number} [options.snapAngle] Rotation increment in degrees of the Transform tool (0 to disable)
+     * @param {number} [options.snapDistance] Maximum snapping distance in screen pixels
+     * @param {boolean} [options.keepCuts] Keep the cuts of the active patch when it is placed with the Corners tool
+     * @param {"rectangle"|"lasso"|"polygon"} [options.selectionMode] How the Arrow tool selects control points on the
+     * background: by dragging a rectangle, by drawing a freehand lasso, or by clicking the vertices of a polygon
+     *
+     * The texture, mode, grid and tessellation options apply to the active layer.
+     *
+     * Emitted events (see on() and off()):
+     * - change: the patch was modified (control points moved, cut, transformed, restored...)
+     * - selectionchange: the selected control points changed
+     * - toolchange: the selected tool changed
+     * - historychange: the history changed (new entry, undo or redo)
+     * - textureload: a texture or background image was loaded
+     * - textureerror: a texture or background image failed to load
+     * - layerchange: a layer was added, removed, moved or activated, or the layer stack was restored
+     *
+     * Holding Ctrl while dragging disables snapping.
+     *
+     * The Corners tool places the active patch by clicking its 4 corners on the background, in any order.
+     * Escape discards the corners clicked so far. The Merge tool removes the cut under the mouse.
+     *
+     * The Arrow tool selection replaces the selected control points, adds to them with Shift and removes from
+     * them with Alt. In polygon selection mode, clicking the first vertex or pressing Enter closes the polygon
+     * and Escape discards it.
      */
-    class BezierMeshProjection {
+    class BezierMeshProjection extends EventEmitter {
         constructor(options) {
+            super();
 
             this.options = {
                 container: null,
-                gridWidth: 20,
-                gridHeight: 20,
 
                 gridColor: "#666666",
 
                 primaryColor: "#0088ff",
                 secondaryColor: "#ffcc00",
 
-                mode: "bezier",
-                texture: null,
                 background: null,
+
+                snapToPixels: false,
+                snapToPoints: false,
+                snapToOutlines: false,
+                snapToGuides: true,
+                snapAngle: 0,
+                snapDistance: 8,
+
+                keepCuts: true,
+
+                selectionMode: "rectangle"
             }
 
             this.initialize(options.container);
@@ -1366,74 +1107,519 @@
             return this.zoomValue;
         }
 
+        set selectedTool(value) {
+            let previous = this.selectedToolValue;
+            this.selectedToolValue = value;
+            this.cornerPoints = [];
+            this.cutEntry = "";
+            this.selectionPolygon = [];
+
+            if (previous !== value)
+                this.emit("toolchange", { tool: value, previousTool: previous });
+        }
+
+        get selectedTool() {
+            return this.selectedToolValue;
+        }
+
+        set activeLayer(layer) {
+            let previous = this.activeLayerValue;
+            this.activeLayerValue = layer;
+
+            if (previous !== layer) {
+                this.setSelectedControlPoints([]);
+                this.emit("layerchange", { reason: "activate", layer: layer });
+            }
+        }
+
+        /**
+         * The layer edited by the Arrow, Cut and Transform tools
+         */
+        get activeLayer() {
+            return this.activeLayerValue;
+        }
+
+        /**
+         * The patch of the active layer
+         */
+        get patch() {
+            return this.activeLayer.patch;
+        }
+
+        /**
+         * Adds a new layer on top of the others. The new layer patch is a copy
+         * of the active one, if any.
+         * @param {object} [options] Layer options
+         * @param {string} [options.name] Layer name
+         * @param {string} [options.texture] The url of the texture to be used
+         * @param {"bezier"|"linear"|"perspective"} [options.mode] Interpolation mode
+         * @param {number} [options.gridWidth] The number of subdivisions in the x-direction
+         * @param {number} [options.gridHeight] The number of subdivisions in the y-direction
+         * @param {"uniform"|"adaptive"} [options.tessellation] Tessellation mode
+         * @param {number} [options.tolerance] Maximum tessellation error in screen pixels (adaptive mode only)
+         * @param {boolean} [options.visible] Layer visibility
+         * @returns {Layer} The new layer
+         */
+        addLayer(options) {
+            let layer = new Layer(this, Object.assign({ name: "Layer " + (this.layers.length + 1) }, options));
+
+            if (this.activeLayer)
+                layer.patch.restore(this.activeLayer.patch.save());
+
+            this.layers.push(layer);
+
+            if (this.scene)
+                layer.createMeshes();
+
+            this.emit("layerchange", { reason: "add", layer: layer });
+            this.activeLayer = layer;
+
+            if (this.history)
+                this.saveHistory();
+
+            return layer;
+        }
+
+        /**
+         * Removes a layer. The last remaining layer can't be removed.
+         * @param {Layer} layer The layer to remove
+         */
+        removeLayer(layer) {
+            let index = this.layers.indexOf(layer);
+
+            if (index === -1 || this.layers.length === 1)
+                return;
+
+            this.layers.splice(index, 1);
+            layer.dispose();
+
+            this.emit("layerchange", { reason: "remove", layer: layer });
+
+            if (this.activeLayer === layer)
+                this.activeLayer = this.layers[Math.min(index, this.layers.length - 1)];
+
+            this.saveHistory();
+        }
+
+        /**
+         * Moves a layer to a new position in the stack (0 is the bottom layer)
+         * @param {Layer} layer The layer to move
+         * @param {number} index The new position
+         */
+        moveLayer(layer, index) {
+            let from = this.layers.indexOf(layer);
+
+            if (from === -1)
+                return;
+
+            index = Math.max(0, Math.min(this.layers.length - 1, index));
+            if (index === from)
+                return;
+
+            this.layers.splice(from, 1);
+            this.layers.splice(index, 0, layer);
+
+            this.emit("layerchange", { reason: "move", layer: layer });
+            this.saveHistory();
+        }
+
 
         /**
-         * Saves the current patch so it can be restored later
-         * @returns {object} The current patch
+         * Saves the current layers so they can be restored later
+         * @returns {object} The current layers
          */
         save() {
             return {
+                version: SaveFormat.version,
                 backgroundWidth: this.backgroundWidth,
                 backgroundHeight: this.backgroundHeight,
                 options: {
-                    texture: this.options.texture,
-                    background: this.options.background,
-                    gridWidth: this.options.gridWidth,
-                    gridHeight: this.options.gridHeight,
-                    mode: this.options.mode
+                    background: this.options.background
                 },
-                patchData: this.patch.save()
+                layers: this.layers.map(l => l.save()),
+                activeLayer: this.layers.indexOf(this.activeLayer),
+                guides: this.guides.map(g => ({ orientation: g.orientation, position: g.position }))
             }
         }
 
         /**
-         * Restores the given saved patch
-         * @param {object} savedInstance The patch to be restored
+         * Restores the given saved layers. Saves of older versions are migrated first (see SaveFormat);
+         * the data is validated before anything is changed.
+         * @param {object} savedInstance The layers to be restored
+         * @throws {FormatError} If the data is malformed or can't be migrated
          */
         restore(savedInstance) {
+            savedInstance = SaveFormat.migrate(savedInstance);
+
+            let errors = SaveFormat.validate(savedInstance);
+            if (errors.length > 0)
+                throw new core.FormatError("Invalid save data", errors);
+
             this.reset({
                 backgroundWidth: savedInstance.backgroundWidth,
                 backgroundHeight: savedInstance.backgroundHeight
             });
-            this.patch.restore(savedInstance.patchData);
-            this.configure(savedInstance.options);
+
+            let options = Object.assign({}, savedInstance.options);
+
+            let layers = savedInstance.layers.map(data => {
+                let layer = new Layer(this);
+                layer.restore(data);
+                return layer;
+            });
+
+            this.layers.forEach(l => l.dispose());
+            this.layers = layers;
+            this.activeLayer = layers[savedInstance.activeLayer] || layers[0];
+            this.guides = (savedInstance.guides || []).map(g => ({ orientation: g.orientation, position: g.position }));
+
+            this.configure(options);
             this.createHistory();
+            this.emit("layerchange", { reason: "restore", layer: this.activeLayer });
+            this.emit("change", { reason: "restore" });
         }
 
         /**
-         * Exports the current mesh (plane only) in GLTF format. The result will also include
-         * some custom data:
-         * - bm_MeshCorners: the main 4 corners of the mesh
-         * @returns {object} The GLTF data
+         * Exports the meshes of the visible layers (planes only), one mesh per layer. The result will also
+         * include some custom data, where the format allows it:
+         * - bm_MeshCorners: the main 4 corners of the active layer mesh
+         * - bm_Layers: name and main 4 corners of each exported layer, in stack order
+         *
+         * In gltf and glb the data is stored in the extras of the scene (and of each node for its own layer);
+         * gltf also has it at the top level. In obj and ply it is stored as JSON in comments.
+         *
+         * With embedProject, gltf and glb also store the whole projection (see save()) in the scene extras
+         * as bm_Project, with the texture and background images embedded as data URIs, so that the
+         * file can be reopened with import().
+         * @param {object} [options] Export options
+         * @param {"gltf"|"glb"|"obj"|"ply"} [options.format] The output format
+         * @param {boolean} [options.embedProject] Embed the editable projection (gltf and glb only)
+         * @returns {Promise} A promise that is fulfilled with the GLTF data (object), the GLB file (ArrayBuffer)
+         * or the OBJ or PLY file (string)
          */
-        export() {
-            return new Promise((resolve, reject) => {
-                new THREE.GLTFExporter().parse(this.meshes.plane, (data) => {
+        export(options) {
+            options = Object.assign({
+                format: "gltf",
+                embedProject: false
+            }, options);
 
-                    let patches = this.patch.bezierPatches;
-                    let rows = patches.rowCount;
-                    let cols = patches.colCount;
+            let layers = this.layers.filter(l => l.options.visible);
 
-                    data.bm_MeshCorners = {
-                        topLeft: patches.get(rows - 1, 0).controlPoints[12].toVector3(),
-                        topRight: patches.get(rows - 1, cols - 1).controlPoints[15].toVector3(),
-                        bottomRight: patches.get(0, cols - 1).controlPoints[3].toVector3(),
-                        bottomLeft: patches.get(0, 0).controlPoints[0].toVector3(),
-                    }
-                    resolve(data);
-                });
-            });
+            let corners = (layer) => {
+                let patches = layer.patch.bezierPatches;
+                let rows = patches.rowCount;
+                let cols = patches.colCount;
+
+                return {
+                    topLeft: patches.get(rows - 1, 0).controlPoints[12].toVector3(),
+                    topRight: patches.get(rows - 1, cols - 1).controlPoints[15].toVector3(),
+                    bottomRight: patches.get(0, cols - 1).controlPoints[3].toVector3(),
+                    bottomLeft: patches.get(0, 0).controlPoints[0].toVector3(),
+                }
+            }
+
+            let metadata = {
+                bm_MeshCorners: corners(this.activeLayer),
+                bm_Layers: layers.map(l => ({ name: l.options.name, meshCorners: corners(l) }))
+            };
+
+            if (options.format === "gltf" || options.format === "glb") {
+                let project = options.embedProject ? this.saveEmbedded() : Promise.resolve(null);
+                return project.then(project => this.exportGLTF(layers, metadata, project, options.format === "glb"));
+            } else if (options.format === "obj") {
+                return Promise.resolve(this.exportOBJ(layers, metadata));
+            } else if (options.format === "ply") {
+                return Promise.resolve(this.exportPLY(layers, metadata));
+            } else {
+                return Promise.reject(new Error("Invalid export format: " + options.format));
+            }
         }
 
+        /**
+         * Restores a projection from a file made with export({ embedProject: true })
+         * @param {object|string|ArrayBuffer} gltf The GLTF data (parsed or as text) or the GLB file
+         * @throws {FormatError} If the file has no projection data or the data is malformed
+         */
+        import(gltf) {
+            if (gltf instanceof ArrayBuffer)
+                gltf = this.readGLBJson(gltf);
+            else if (typeof gltf === "string")
+                gltf = JSON.parse(gltf);
+
+            let scene = gltf && gltf.scenes && gltf.scenes[gltf.scene || 0];
+            let project = scene && scene.extras && scene.extras.bm_Project;
+
+            if (!project)
+                throw new core.FormatError("Invalid GLTF data", ["scene extras: no bm_Project data (export with embedProject)"]);
+
+            this.restore(project);
+        }
 
         /**
-         * Resets the patch and the background plane. When options are not are supplied, default values
-         * will be applied. If the 4 patch corners are given, the supplied patch width and height
-         * will be ignored and the patch will be positionted with the given corners; otherwise, 
-         * a rectangular patch will be created with the supplied width and height, and it will be 
-         * centered over the background
-         * @param {object} [options] Reset options
-         * @param {number} [options.backgroundWidth] Background width in pixels
+         * Saves the projection (see save()) with the background and texture images embedded as data URIs
+         * @returns {Promise} A promise that is fulfilled with the saved data
+         */
+        saveEmbedded() {
+            let saved = this.save();
+
+            return Promise.all([
+                this.textures.loadDataURL(saved.options.background).then(url => saved.options.background = url),
+                ...saved.layers.map(l => this.textures.loadDataURL(l.options.texture).then(url => l.options.texture = url))
+            ]).then(() => saved);
+        }
+
+        /**
+         * Exports the planes of the given layers in GLTF or GLB format
+         * @private
+         * @param {Layer[]} layers The layers
+         * @param {object} metadata The bm_ data, stored in the scene extras
+         * @param {object} [project] The projection data stored in the scene extras as bm_Project
+         * @param {boolean} binary true for GLB
+         * @returns {Promise} A promise that is fulfilled with the GLTF data or the GLB file
+         */
+        exportGLTF(layers, metadata, project, binary) {
+            // Export copies of the planes so each node gets the metadata of its layer as extras.
+            // The scene extras are added afterwards (the exporter fails to serialize the scene userData).
+            let planes = layers.map((l, i) => {
+                let plane = l.meshes.plane.clone();
+                plane.userData = { bm_MeshCorners: metadata.bm_Layers[i].meshCorners };
+                return plane;
+            });
+
+            let extras = JSON.parse(JSON.stringify(metadata));
+            if (project)
+                extras.bm_Project = project;
+
+            return new Promise((resolve, reject) => {
+                new THREE.GLTFExporter().parse(planes, (data) => {
+                    try {
+                        if (binary) {
+                            data = this.updateGLBJson(data, json => json.scenes[0].extras = extras);
+                        } else {
+                            data.scenes[0].extras = extras;
+                            Object.assign(data, metadata);
+                        }
+                        resolve(data);
+                    } catch (e) {
+                        reject(e);
+                    }
+                }, { binary: binary });
+            });
+        }
+
+        /**
+         * Reads the JSON chunk of a GLB file
+         * @private
+         * @param {ArrayBuffer} glb The GLB file
+         * @returns {object} The parsed JSON chunk
+         */
+        readGLBJson(glb) {
+            // Layout: 12 bytes header, JSON chunk (length, type, data) then the binary chunk
+            let view = new DataView(glb);
+            if (glb.byteLength < 20 || view.getUint32(0, true) !== 0x46546C67)
+                throw new core.FormatError("Invalid GLB data", ["missing glTF header"]);
+
+            return JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, view.getUint32(12, true))));
+        }
+
+        /**
+         * Modifies the JSON chunk of a GLB file
+         * @private
+         * @param {ArrayBuffer} glb The GLB file
+         * @param {function} update Function modifying the parsed JSON chunk
+         * @returns {ArrayBuffer} The new GLB file
+         */
+        updateGLBJson(glb, update) {
+            let view = new DataView(glb);
+            let jsonLength = view.getUint32(12, true);
+            let json = this.readGLBJson(glb);
+
+            update(json);
+
+            // The JSON chunk is padded with spaces to a multiple of 4 bytes
+            let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+            let paddedLength = Math.ceil(jsonBytes.length / 4) * 4;
+            let rest = new Uint8Array(glb, 20 + jsonLength);
+
+            let result = new Uint8Array(20 + paddedLength + rest.length);
+            let resultView = new DataView(result.buffer);
+            result.set(new Uint8Array(glb, 0, 12));
+            resultView.setUint32(8, result.length, true);
+            resultView.setUint32(12, paddedLength, true);
+            resultView.setUint32(16, view.getUint32(16, true), true);
+            result.set(jsonBytes, 20);
+            result.fill(0x20, 20 + jsonBytes.length, 20 + paddedLength);
+            result.set(rest, 20 + paddedLength);
+
+            return result.buffer;
+        }
+
+        /**
+         * Writes the planes of the given layers as a Wavefront OBJ file, one object per layer
+         * @private
+         * @param {Layer[]} layers The layers
+         * @param {object} metadata The bm_ data, written as comments
+         * @returns {string} The OBJ file
+         */
+        exportOBJ(layers, metadata) {
+            let n = (x) => +x.toFixed(6);
+            let lines = [];
+
+            for (let key in metadata)
+                lines.push("# " + key + " " + JSON.stringify(metadata[key]));
+
+            let offset = 1;
+            for (let layer of layers) {
+                let geom = layer.meshes.plane.geometry;
+                let positions = geom.attributes.position.array;
+                let uvs = geom.attributes.uv.array;
+                let indices = geom.index.array;
+
+                lines.push("o " + layer.options.name.replace(/\s+/g, "_"));
+
+                for (let i = 0; i < positions.length; i += 3)
+                    lines.push("v " + n(positions[i]) + " " + n(positions[i + 1]) + " " + n(positions[i + 2]));
+
+                for (let i = 0; i < uvs.length; i += 2)
+                    lines.push("vt " + n(uvs[i]) + " " + n(uvs[i + 1]));
+
+                for (let i = 0; i < indices.length; i += 3) {
+                    let [a, b, c] = [indices[i] + offset, indices[i + 1] + offset, indices[i + 2] + offset];
+                    lines.push("f " + a + "/" + a + " " + b + "/" + b + " " + c + "/" + c);
+                }
+
+                offset += positions.length / 3;
+            }
+
+            return lines.join("\n") + "\n";
+        }
+
+        /**
+         * Writes the planes of the given layers as a single ASCII PLY mesh with texture coordinates
+         * @private
+         * @param {Layer[]} layers The layers
+         * @param {object} metadata The bm_ data, written as comments
+         * @returns {string} The PLY file
+         */
+        exportPLY(layers, metadata) {
+            let n = (x) => +x.toFixed(6);
+            let vertices = [];
+            let faces = [];
+
+            // Vertex and face ranges of each layer, so the layers can be told apart
+            let ranges = [];
+
+            for (let layer of layers) {
+                let geom = layer.meshes.plane.geometry;
+                let positions = geom.attributes.position.array;
+                let uvs = geom.attributes.uv.array;
+                let indices = geom.index.array;
+                let offset = vertices.length;
+
+                ranges.push({ name: layer.options.name, vertexStart: offset, faceStart: faces.length, faceCount: indices.length / 3 });
+
+                for (let i = 0, j = 0; i < positions.length; i += 3, j += 2)
+                    vertices.push(n(positions[i]) + " " + n(positions[i + 1]) + " " + n(positions[i + 2]) + " " + n(uvs[j]) + " " + n(uvs[j + 1]));
+
+                for (let i = 0; i < indices.length; i += 3)
+                    faces.push("3 " + (indices[i] + offset) + " " + (indices[i + 1] + offset) + " " + (indices[i + 2] + offset));
+            }
+
+            let header = ["ply", "format ascii 1.0"];
+
+            for (let layer of layers) {
+                if (layer.options.texture)
+                    header.push("comment TextureFile " + layer.options.texture);
+            }
+
+            for (let key in metadata)
+                header.push("comment " + key + " " + JSON.stringify(metadata[key]));
+            header.push("comment bm_LayerRanges " + JSON.stringify(ranges));
+
+            header.push(
+                "element vertex " + vertices.length,
+                "property float x",
+                "property float y",
+                "property float z",
+                "property float s",
+                "property float t",
+                "element face " + faces.length,
+                "property list uchar int vertex_indices",
+                "end_header"
+            );
+
+            return [...header, ...vertices, ...faces].join("\n") + "\n";
+        }
+
+        /**
+         * Renders the warped texture over the background without using WebGL. The
+         * tessellated surface is rasterized on the CPU with bilinear texture sampling.
+         * @param {object} [options] Render options
+         * @param {number} [options.width] Image width in pixels (defaults to the background width)
+         * @param {number} [options.height] Image height in pixels (defaults to the background height)
+         * @param {string|ImageData} [options.background] The background image (defaults to the current background)
+         * @param {string|ImageData} [options.texture] The texture image of the active layer (defaults to its current texture)
+         * @param {"rgba"|"png"} [options.format] The output format
+         * @returns {Promise} A promise that is fulfilled with the RGBA image data, or with the PNG file data
+         */
+        renderImage(options) {
+
+            options = Object.assign({
+                width: this.backgroundWidth,
+                height: this.backgroundHeight,
+                background: this.options.background,
+                texture: this.activeLayer.options.texture,
+                format: "rgba"
+            }, options);
+
+            let layers = this.layers.filter(l => l.options.visible);
+
+            return Promise.all([
+                this.textures.loadImageData(options.background),
+                ...layers.map(l => this.textures.loadImageData(l === this.activeLayer ? options.texture : l.options.texture))
+            ]).then(([background, ...textures]) => {
+
+                this.updatePatch();
+                this.updateMeshes();
+
+                let rasterizer = new core.Rasterizer(options.width, options.height, this.backgroundWidth, this.backgroundHeight);
+
+                // The background plane is white when there's no background image
+                rasterizer.clear(255, 255, 255, 255);
+
+                if (background)
+                    rasterizer.drawImage(background);
+
+                layers.forEach((layer, i) => {
+                    if (!textures[i])
+                        return;
+
+                    let geom = layer.meshes.plane.geometry;
+                    rasterizer.drawMesh({
+                        positions: geom.attributes.position.array,
+                        uvs: geom.attributes.uv.array,
+                        indices: geom.index.array
+                    }, textures[i]);
+                });
+
+                if (options.format === "png")
+                    return rasterizer.toPNG();
+                else if (options.format === "rgba")
+                    return rasterizer.toImageData();
+                else
+                    throw new Error("Invalid image format: " + options.format);
+            });
+        }
+
+        /**
+         * Resets the layers and the background plane. Only one layer is kept, with the settings of the
+         * active one. When options are not are supplied, default values
+         * will be applied. If the 4 patch corners are given, the supplied patch width and height
+         * will be ignored and the patch will be positionted with the given corners; otherwise, 
+         * a rectangular patch will be created with the supplied width and height, and it will be 
+         * centered over the background
+         * @param {object} [options] Reset options
+         * @param {number} [options.backgroundWidth] Background width in pixels
          * @param {number} [options.backgroundHeight] Background height in pixels
          * @param {number} [options.patchWidth] Patch width in pixels
          * @param {number} [options.patchHeight] patch height height in pixels
@@ -1493,7 +1679,17 @@
 
                 }
 
-                this.patch.initFromCorners(tl, tr, bl, br);
+                // Keep a single layer, with the settings of the active one
+                let layer = new Layer(this, this.activeLayer ? this.activeLayer.options : {});
+                layer.patch.initFromCorners(tl, tr, bl, br);
+
+                this.layers.forEach(l => l.dispose());
+                this.layers = [layer];
+
+                if (this.scene)
+                    layer.createMeshes();
+
+                this.activeLayer = layer;
 
             }
 
@@ -1504,6 +1700,8 @@
             // Reset history and create initial state
             this.createHistory();
 
+            this.emit("change", { reason: "reset" });
+
             return this;
         }
 
@@ -1515,135 +1713,68 @@
          * @param {string} [options.gridColor] Color used for grid lines and grid points.
          * @param {string} [options.primaryColor] Primary UI color
          * @param {string} [options.secondaryColor] Secondary UI color
-         * @param {"bezier"|"linear"} [options.mode] Interpolation mode
+         * @param {"bezier"|"linear"|"perspective"} [options.mode] Interpolation mode
+         * @param {"uniform"|"adaptive"} [options.tessellation] Tessellation mode
+         * @param {number} [options.tolerance] Maximum tessellation error in screen pixels (adaptive mode only)
          * @param {string} [options.texture] The url of the texture to be used
          * @param {string} [options.background] The image to be placed in the background
          */
         configure(options) {
 
-            Object.assign(this.options, options);
+            options = options || {};
 
+            let layerOptions = {};
+            for (let key in options) {
+                if (key in LayerDefaults)
+                    layerOptions[key] = options[key];
+                else
+                    this.options[key] = options[key];
+            }
 
-            let gw = this.options.gridWidth + 1;
-            let gh = this.options.gridHeight + 1;
+            if (this.activeLayer)
+                Object.assign(this.activeLayer.options, layerOptions);
+
+            // Release the previous scene
+            if (this.meshes)
+                this.disposeMeshes();
 
             this.meshes = {};
 
             // Initialize three.js scene
             this.scene = new THREE.Scene();
 
-            // Init grid points buffer;
-            this.gridPoints = new Array(gw * gh);
-            for (let i = 0; i < this.gridPoints.length; i++)
-                this.gridPoints[i] = new THREE.Vector3();
-
             // Create background plane
             {
 
                 let planeGeom = new THREE.PlaneGeometry();
 
                 this.meshes.backgroundPlane = new THREE.Mesh(planeGeom, new THREE.MeshBasicMaterial({ color: 0xffffff }));
+                this.meshes.backgroundPlane.renderOrder = -1;
 
                 this.scene.add(this.meshes.backgroundPlane);
 
+                // The material might have been released (by a new configure() or dispose()) when the texture is loaded
+                let material = this.meshes.backgroundPlane.material;
                 this.textures.load(this.options.background).then(tex => {
-                    this.meshes.backgroundPlane.material.map = tex;
-                    this.meshes.backgroundPlane.material.needsUpdate = true;
-                });
-
-            }
-
-            // Create plane mesh
-            {
-
-                // Indices
-                let indices = [];
-
-                for (let y = 0; y < gh - 1; y++) {
-                    for (let x = 0; x < gw - 1; x++) {
-                        let a = y * gw + x;
-                        let b = y * gw + x + 1;
-                        let c = (y + 1) * gw + x;
-                        let d = (y + 1) * gw + x + 1;
-
-                        indices.push(a, b, c);
-                        indices.push(b, d, c);
-
-                    }
-                }
-
-                // Normals
-                let normals = [];
-                for (let i = 0; i < gw * gh; i++)
-                    normals.push(0, 0, 1);
-
-                // UVs
-                let uvs = [];
-
-                for (let y = 0; y < gh; y++) {
-                    for (let x = 0; x < gw; x++) {
-                        uvs.push(x / (gw - 1), y / (gh - 1));
-                    }
-                }
-
-                let planeGeom = new THREE.BufferGeometry();
-
-                planeGeom.addAttribute("position", new THREE.BufferAttribute(new Float32Array(gw * gh * 3), 3));
-                planeGeom.addAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
-                planeGeom.addAttribute("uv", new THREE.Float32BufferAttribute(uvs, 2));
-                planeGeom.setIndex(indices);
-
-
-                this.meshes.plane = new THREE.Mesh(planeGeom, new THREE.MeshBasicMaterial({
-                    color: 0xffffff
-                }));
-
-                this.scene.add(this.meshes.plane);
-
-                this.textures.load(this.options.texture).then((tex) => {
-                    this.meshes.plane.material.map = tex;
-                    this.meshes.plane.material.transparent = true;
-                    this.meshes.plane.material.needsUpdate = true;
+                    material.map = tex;
+                    material.needsUpdate = true;
+                }).catch(() => {
+                    // The failure is reported by the textureerror event
                 });
 
-
             }
 
 
-            // Create grid lines mesh
-            {
-                let indices = [];
-
-                // Horizontal lines
-                for (let y = 0; y < gh; y++) {
-                    for (let x = 0; x < gw - 1; x++) {
-                        indices.push(y * gw + x, y * gw + x + 1);
-                    }
-                }
-
-                // Vertical lines
-                for (let x = 0; x < gw; x++) {
-                    for (let y = 0; y < gh - 1; y++) {
-                        indices.push(y * gw + x, (y + 1) * gw + x);
-                    }
-                }
-
-                let linesGeom = new THREE.BufferGeometry();
-
-                linesGeom.addAttribute("position", new THREE.BufferAttribute(new Float32Array(gw * gh * 3), 3));
-                linesGeom.setIndex(indices);
-
-                this.meshes.gridLines = new THREE.LineSegments(linesGeom, new THREE.LineBasicMaterial({
-                    color: this.options.gridColor,
-                    opacity: 0.5,
-                    transparent: true
-                }));
-                this.scene.add(this.meshes.gridLines);
-
-            }
+            // Create layer meshes
+            for (let layer of this.layers)
+                layer.createMeshes();
 
             this.reshape();
 
+            // Layer option changes are history entries too
+            if (this.history && this.history.current().layers.some(entry => this.layerOptionsChanged(entry)))
+                this.saveHistory();
+
         }
 
         /**
@@ -1674,10 +1805,38 @@
                     ndc: new THREE.Vector3(),
                     world: new THREE.Vector3()
                 },
+                surface: null,
                 leftButtonDown: false,
-                rightButtonDown: false
+                rightButtonDown: false,
+                longPress: false
             };
 
+            // Active pointers by id, the pointer driving the current drag and the pinch gesture
+            this.pointers = new Map();
+            this.activePointerId = null;
+            this.pinch = null;
+            this.longPressTimer = null;
+            this.suppressClick = false;
+
+            // Pending history entry of a burst of keyboard nudges
+            this.nudgeTimer = null;
+
+            // Snapping guides and the current snap target
+            this.guides = [];
+            this.snapTarget = null;
+
+            // Corners clicked so far with the Corners tool (world coordinates)
+            this.cornerPoints = [];
+
+            // Cut position typed with the cut tools, in percent
+            this.cutEntry = "";
+
+            // Frame of the Free Transform tool around the selected control points
+            this.freeTransform = null;
+
+            // Vertices of the lasso or polygon selection in progress (world coordinates)
+            this.selectionPolygon = [];
+
             // Key state info
             this.keystate = {};
 
@@ -1688,11 +1847,11 @@
 
             // Init three.js renderer
             this.renderer = new THREE.WebGLRenderer({ antialias: true });
-            this.textures = new Textures();
-            this.raycaster = new THREE.Raycaster();
+            this.textures = new Textures(this);
 
-            // Create initial patch
-            this.patch = new Patch(this);
+            // Layers (the initial layer is created by reset())
+            this.layers = [];
+            this.activeLayerValue = null;
 
 
             // Selected control points
@@ -1715,17 +1874,84 @@
             this.container.appendChild(this.uiCanvas);
 
             // Event handlers
-            this.container.addEventListener("mouseleave", this.mouseleave.bind(this));
-            this.container.addEventListener("mousemove", this.mousemove.bind(this));
-            this.container.addEventListener("mousedown", this.mousedown.bind(this));
-            this.container.addEventListener("mouseup", this.mouseup.bind(this));
-            this.container.addEventListener("click", this.click.bind(this));
-            this.container.addEventListener("contextmenu", (evt) => evt.preventDefault());
+            this.domListeners = [];
+            this.container.style.touchAction = "none";
+            this.listen(this.container, "pointercancel", this.pointercancel.bind(this));
+            this.listen(this.container, "pointermove", this.pointermove.bind(this));
+            this.listen(this.container, "pointerdown", this.pointerdown.bind(this));
+            this.listen(this.container, "pointerup", this.pointerup.bind(this));
+            this.listen(this.container, "click", this.click.bind(this));
+            this.listen(this.container, "wheel", this.wheel.bind(this));
+            this.listen(this.container, "contextmenu", (evt) => evt.preventDefault());
+
+            this.listen(window, "resize", this.reshape.bind(this));
+            this.listen(window, "keydown", this.keydown.bind(this));
+            this.listen(window, "keyup", this.keyup.bind(this));
+
+        }
+
+        /**
+         * Adds a DOM event listener that will be removed when this projection is disposed
+         * @private
+         * @param {EventTarget} target The event target
+         * @param {string} type The event type
+         * @param {function} handler The event handler
+         */
+        listen(target, type, handler) {
+            target.addEventListener(type, handler);
+            this.domListeners.push({ target: target, type: type, handler: handler });
+        }
+
+        /**
+         * Releases the meshes of the current scene
+         * @private
+         */
+        disposeMeshes() {
+            for (let name in this.meshes) {
+                this.meshes[name].geometry.dispose();
+                this.meshes[name].material.dispose();
+            }
+            this.meshes = {};
+
+            for (let layer of this.layers)
+                layer.disposeMeshes();
+        }
+
+        /**
+         * Destroys this projection: stops the main loop, removes all the event listeners
+         * and DOM elements, and releases the GPU resources and the texture cache.
+         * The projection can't be used anymore after this call.
+         */
+        dispose() {
+            if (this.disposed)
+                return;
 
-            window.addEventListener("resize", this.reshape.bind(this));
-            window.addEventListener("keydown", this.keydown.bind(this));
-            window.addEventListener("keyup", this.keyup.bind(this));
+            window.cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+            this.cancelLongPress();
+            this.pointers.clear();
+            window.clearTimeout(this.nudgeTimer);
+            this.nudgeTimer = null;
 
+            for (let l of this.domListeners)
+                l.target.removeEventListener(l.type, l.handler);
+            this.domListeners = [];
+
+            this.disposeMeshes();
+            this.scene = null;
+            this.textures.clear();
+
+            this.layers.forEach(l => l.dispose());
+            this.layers = [];
+            this.transformTool.dispose();
+            this.selectedControlPoints = [];
+
+            this.container.removeChild(this.uiCanvas);
+            this.container.removeChild(this.renderer.domElement);
+            this.renderer.dispose();
+
+            this.eventListeners = {};
+            this.disposed = true;
         }
 
         /**
@@ -1738,18 +1964,191 @@
         }
 
         /**
-         * Restores the current history element
+         * Restores the current history element: the layer stack (layers added or removed in the meantime are
+         * dropped or brought back, in their former order), the active layer, the layer options and the patches
          */
         restoreHistory() {
             let current = this.history.current();
-            this.patch.restore(current.patchData);
+            let layers = current.layers.map(entry => entry.layer);
+            let stackChanged = layers.length !== this.layers.length || layers.some((l, i) => l !== this.layers[i]);
+
+            for (let layer of this.layers)
+                if (!layers.includes(layer))
+                    layer.dispose();
+
+            for (let entry of current.layers) {
+                let rebuild = !this.layers.includes(entry.layer) || this.layerOptionsChanged(entry);
+                Object.assign(entry.layer.options, entry.options);
+                entry.layer.patch.restore(entry.patchData);
+                if (rebuild && this.scene)
+                    entry.layer.createMeshes();
+            }
+
+            this.layers = layers;
+            this.activeLayer = current.activeLayer;
+            this.setSelectedControlPoints([]);
+
+            if (stackChanged)
+                this.emit("layerchange", { reason: "history", layer: this.activeLayer });
+            this.emit("change", { reason: "history" });
         }
 
         /**
-         * Pushes the current patch data into the history stack
+         * Pushes the current layer stack, with the options and the patch data of all the layers, into the history stack
          */
         saveHistory() {
-            this.history.insert({ patchData: this.patch.save() });
+            // The current state already includes any pending nudges
+            window.clearTimeout(this.nudgeTimer);
+            this.nudgeTimer = null;
+
+            this.history.insert({
+                layers: this.layers.map(l => ({ layer: l, options: Object.assign({}, l.options), patchData: l.patch.save() })),
+                activeLayer: this.activeLayer
+            });
+            this.emitHistoryChange();
+        }
+
+        /**
+         * Tells whether the options of a layer differ from the ones saved in a history element
+         * @private
+         * @param {{ layer: Layer, options: object }} entry The layer entry of the history element
+         * @returns {boolean} true if any option changed
+         */
+        layerOptionsChanged(entry) {
+            return Object.keys(entry.options).some(key => entry.layer.options[key] !== entry.options[key]);
+        }
+
+        /**
+         * Emits the historychange event
+         * @private
+         */
+        emitHistoryChange() {
+            this.emit("historychange", { canUndo: this.canUndo(), canRedo: this.canRedo() });
+        }
+
+        /**
+         * @returns {boolean} true if there is a command that can be undone
+         */
+        canUndo() {
+            return this.history.canBack();
+        }
+
+        /**
+         * @returns {boolean} true if there is a command that can be redone
+         */
+        canRedo() {
+            return this.history.canForward();
+        }
+
+        /**
+         * Selects control points of the active patch. Locked and hidden points are never selected
+         * @param {function(ControlPoint, number): boolean|number[]|ControlPoint[]} selector A predicate receiving each
+         * control point and its index in patch.allControlPoints, the indices of the points, or the points themselves
+         * (for example patch.rowPoints(0) or patch.boundaryPoints())
+         * @param {boolean} [add] Add the points to the current selection instead of replacing it
+         * @returns {ControlPoint[]} The selected control points
+         */
+        select(selector, add) {
+            let all = this.patch.allControlPoints;
+            let points;
+
+            if (typeof selector === "function")
+                points = all.filter((c, i) => selector(c, i));
+            else if (Array.isArray(selector))
+                points = selector.map(x => typeof x === "number" ? all[x] : x).filter(c => all.includes(c));
+            else
+                throw new Error("Invalid selector: " + selector);
+
+            points = points.filter(c => this.isSelectable(c));
+            if (add)
+                points = [...this.selectedControlPoints, ...points];
+
+            this.setSelectedControlPoints(points.filter((c, i) => points.indexOf(c) === i));
+            return this.selectedControlPoints;
+        }
+
+        /**
+         * Selects all the control points of the active patch
+         * @returns {ControlPoint[]} The selected control points
+         */
+        selectAll() {
+            return this.select(() => true);
+        }
+
+        /**
+         * Selects the control points of the active patch that are not selected, and deselects the others
+         * @returns {ControlPoint[]} The selected control points
+         */
+        invertSelection() {
+            let previous = this.selectedControlPoints;
+            return this.select(c => !previous.includes(c));
+        }
+
+        /**
+         * Deselects all the control points
+         */
+        clearSelection() {
+            this.setSelectedControlPoints([]);
+        }
+
+        /**
+         * @private
+         * @param {PointerEvent|KeyboardEvent} evt The event that makes the selection
+         * @returns {"replace"|"add"|"subtract"} How a selection made on the background combines with the current
+         * one, according to the Shift and Alt keys
+         */
+        selectionOperation(evt) {
+            if (evt.shiftKey)
+                return "add";
+            if (evt.altKey)
+                return "subtract";
+            return "replace";
+        }
+
+        /**
+         * Selects the selectable control points of the active patch whose screen position passes a test,
+         * combined with the current selection
+         * @private
+         * @param {function(THREE.Vector2): boolean} inside Tests a screen position
+         * @param {"replace"|"add"|"subtract"} operation How to combine with the current selection (see selectionOperation())
+         */
+        selectArea(inside, operation) {
+            let cps = this.patch.allControlPoints.filter(c => this.isSelectable(c) && inside(this.worldToScreen(c)));
+            let selected = this.selectedControlPoints;
+
+            if (operation === "add")
+                this.setSelectedControlPoints([...selected, ...cps.filter(c => !selected.includes(c))]);
+            else if (operation === "subtract")
+                this.setSelectedControlPoints(selected.filter(c => !cps.includes(c)));
+            else
+                this.setSelectedControlPoints(cps);
+        }
+
+        /**
+         * Selects the control points inside the lasso or polygon selection in progress. A polygon needs
+         * at least 3 vertices
+         * @private
+         * @param {"replace"|"add"|"subtract"} operation How to combine with the current selection (see selectionOperation())
+         */
+        selectPolygon(operation) {
+            if (this.selectionPolygon.length < 3)
+                return;
+
+            let polygon = this.selectionPolygon.map(p => this.worldToScreen(p).clone());
+            this.selectArea(pos => core.Util.pointInPolygon(pos, polygon), operation);
+        }
+
+        /**
+         * Replaces the selected control points
+         * @private
+         * @param {ControlPoint[]} points The new selection
+         */
+        setSelectedControlPoints(points) {
+            let previous = this.selectedControlPoints;
+            this.selectedControlPoints = points;
+
+            if (previous.length !== points.length || previous.some(p => !points.includes(p)))
+                this.emit("selectionchange", { selectedControlPoints: points });
         }
 
         /**
@@ -1758,22 +2157,26 @@
          */
         updateUI() {
 
+            let layerOptions = this.activeLayer.options;
 
             // Control points visibility
             {
 
-                for (let p of this.patch.bezierPatches)
-                    for (let c of p.controlPoints)
-                        c.visible = false;
+                // Only the control points of the active layer can be visible
+                for (let layer of this.layers)
+                    for (let p of layer.patch.bezierPatches)
+                        for (let c of p.controlPoints)
+                            c.visible = false;
 
-                // Control points are hidden if the current tool is not the Arrow, or
+                // Control points are hidden if the current tool is not the Arrow or Free Transform, or
                 // if the preview mode is on
-                if (this.selectedTool === Tools.Arrow) {
-                    if (this.options.mode === "bezier") {
+                if (this.selectedTool === Tools.Arrow || this.selectedTool === Tools.FreeTransform) {
+                    if (layerOptions.mode === "bezier") {
                         for (let p of this.patch.bezierPatches)
                             for (let c of p.controlPoints)
                                 c.visible = true;
-                    } else if (this.options.mode === "linear") {
+                    } else {
+                        // Only the corners can be edited in linear and perspective modes
                         for (let p of this.patch.bezierPatches) {
                             p.controlPoints[0].visible = true;
                             p.controlPoints[3].visible = true;
@@ -1812,7 +2215,7 @@
 
                 for (let patch of this.patch.bezierPatches) {
                     let cps = patch.controlPoints;
-                    let vertices = this.options.mode === "bezier" ?
+                    let vertices = layerOptions.mode === "bezier" ?
                         [
                             cps[0], cps[1], cps[2], cps[3],
                             cps[7], cps[11], cps[15], cps[14],
@@ -1838,7 +2241,7 @@
 
 
             // Draw patches interior
-            if (this.options.mode === "bezier") {
+            if (layerOptions.mode === "bezier") {
                 ctx.save();
                 {
                     let u0 = new THREE.Vector2();
@@ -1894,28 +2297,66 @@
 
                 if (this.selectedTool === Tools.VerticalCut || this.selectedTool === Tools.HorizontalCut) {
                     let horizontal = this.selectedTool === Tools.HorizontalCut;
-                    let uv = this.intersectMesh(this.mouse.ndc);
-                    if (uv) {
+                    let entry = this.cutEntryValue();
+                    let hit = entry !== null ? { u: entry, v: entry } : this.surfaceAt(this.mouse.world.x, this.mouse.world.y);
+                    if (hit) {
                         ctx.beginPath();
+                        this.cutPolyline(horizontal ? { v: hit.v } : { u: hit.u })
+                            .forEach((p, i) => i == 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                        ctx.stroke();
+                    }
 
-                        for (let i = 0; i <= (horizontal ? this.options.gridWidth : this.options.gridHeight); i++) {
-                            let point = this.patch.compute(
-                                horizontal ? i / this.options.gridWidth : uv.x,
-                                horizontal ? uv.y : i / this.options.gridHeight,
-                                this.options.mode
-                            );
-
-                            let screenPos = this.worldToScreen(point);
-
-                            i == 0 ? ctx.moveTo(screenPos.x, screenPos.y) : ctx.lineTo(screenPos.x, screenPos.y);
-
-                        }
-                        ctx.stroke();
+                    // Value typed so far, in percent of the patch
+                    if (this.cutEntry) {
+                        ctx.fillStyle = this.options.secondaryColor;
+                        ctx.font = "12px sans-serif";
+                        ctx.fillText((horizontal ? "v" : "u") + " = " + this.cutEntry + "%",
+                            this.mouse.position.x + Constants.ControlPointSize * 2, this.mouse.position.y - Constants.ControlPointSize * 2);
                     }
                 }
             }
             ctx.restore();
 
+            // Cut to be removed by the Merge tool
+            ctx.save();
+            if (this.selectedTool === Tools.Merge) {
+                let cut = this.cutNear(this.mouse.position);
+                if (cut) {
+                    ctx.strokeStyle = this.options.secondaryColor;
+                    ctx.lineWidth = 4;
+                    setShadow();
+
+                    ctx.beginPath();
+                    this.cutPolyline(cut).forEach((p, i) => i == 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                    ctx.stroke();
+                }
+            }
+            ctx.restore();
+
+            // Corners clicked so far, joined to the mouse by a rubber band
+            ctx.save();
+            if (this.selectedTool === Tools.Corners && this.cornerPoints.length > 0) {
+                let next = this.snapTarget ? this.snapTarget.position : this.mouse.world;
+                let points = [...this.cornerPoints, next].map(p => this.worldToScreen(p).clone());
+
+                ctx.strokeStyle = this.options.secondaryColor;
+                ctx.fillStyle = this.options.secondaryColor;
+                ctx.lineWidth = 2;
+                setShadow();
+
+                ctx.beginPath();
+                points.forEach((p, i) => i == 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                if (points.length === 4)
+                    ctx.closePath();
+                ctx.setLineDash([10]);
+                ctx.stroke();
+
+                for (let p of points.slice(0, -1))
+                    ctx.fillRect(p.x - Constants.ControlPointSize / 2, p.y - Constants.ControlPointSize / 2,
+                        Constants.ControlPointSize, Constants.ControlPointSize);
+            }
+            ctx.restore();
+
             // Draw selection rect
             ctx.save();
             {
@@ -1941,37 +2382,522 @@
             }
             ctx.restore();
 
+            // Draw lasso or polygon selection, with a rubber band to the mouse while clicking a polygon
+            ctx.save();
+            {
+                if (this.selectionPolygon.length > 0) {
+                    let points = this.selectionPolygon.map(p => this.worldToScreen(p).clone());
+                    let polygon = this.options.selectionMode === "polygon";
+                    if (polygon)
+                        points.push(this.mouse.position.clone());
+
+                    ctx.strokeStyle = ctx.fillStyle = this.options.secondaryColor;
+                    ctx.lineJoin = "round";
+                    ctx.beginPath();
+                    points.forEach((p, i) => i == 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                    ctx.closePath();
+                    ctx.globalAlpha = 0.2;
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                    ctx.stroke();
+
+                    if (polygon)
+                        for (let p of points.slice(0, -1))
+                            ctx.fillRect(p.x - Constants.ControlPointSize / 2, p.y - Constants.ControlPointSize / 2,
+                                Constants.ControlPointSize, Constants.ControlPointSize);
+                }
+            }
+            ctx.restore();
+
+            // Draw free transform frame
+            ctx.save();
+            {
+                let state = this.freeTransformState();
+                if (state) {
+                    let handles = this.freeTransformHandles(state);
+                    let corners = handles.filter(h => h.type === "corner").map(h => h.position);
+                    let top = handles.find(h => h.type === "edge" && h.index === 2).position;
+                    let rotate = handles.find(h => h.type === "rotate").position;
+                    let r = Constants.FreeTransformHandleSize;
+
+                    ctx.strokeStyle = this.options.secondaryColor;
+                    ctx.fillStyle = this.options.primaryColor;
+                    ctx.lineWidth = 1;
+                    setShadow();
+
+                    ctx.beginPath();
+                    corners.forEach((p, i) => i == 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+                    ctx.closePath();
+                    ctx.moveTo(top.x, top.y);
+                    ctx.lineTo(rotate.x, rotate.y);
+                    ctx.stroke();
+
+                    for (let h of handles) {
+                        ctx.beginPath();
+                        if (h.type === "rotate")
+                            ctx.arc(h.position.x, h.position.y, r / 2, 0, Math.PI * 2);
+                        else
+                            ctx.rect(h.position.x - r / 2, h.position.y - r / 2, r, r);
+                        ctx.fill();
+                        ctx.stroke();
+                    }
+                }
+            }
+            ctx.restore();
+
+            // Draw guides
+            ctx.save();
+            {
+                ctx.lineWidth = 1;
+                for (let guide of this.guides) {
+                    let active = !!this.snapTarget && this.snapTarget.type === "guide" && this.snapTarget.guides.includes(guide);
+                    let vertical = guide.orientation === "vertical";
+                    let p = this.worldToScreen(new THREE.Vector3(vertical ? guide.position : 0, vertical ? 0 : guide.position, 0));
+
+                    ctx.strokeStyle = active ? this.options.secondaryColor : this.options.primaryColor;
+                    ctx.globalAlpha = active ? 1 : 0.5;
+                    ctx.beginPath();
+                    vertical ? ctx.moveTo(p.x, 0) : ctx.moveTo(0, p.y);
+                    vertical ? ctx.lineTo(p.x, h) : ctx.lineTo(w, p.y);
+                    ctx.stroke();
+                }
+            }
+            ctx.restore();
+
+            // Draw snap target
+            ctx.save();
+            {
+                let target = this.snapTarget;
+                if (target && target.type !== "guide") {
+                    let p = this.worldToScreen(target.position);
+                    let r = Constants.ControlPointSize;
+
+                    ctx.strokeStyle = ctx.fillStyle = this.options.secondaryColor;
+                    ctx.lineWidth = 2;
+                    setShadow();
+                    ctx.beginPath();
+
+                    if (target.type === "point") {
+                        ctx.arc(p.x, p.y, r * 1.5, 0, Math.PI * 2);
+                    } else if (target.type === "outline") {
+                        ctx.moveTo(p.x - r, p.y - r);
+                        ctx.lineTo(p.x + r, p.y + r);
+                        ctx.moveTo(p.x + r, p.y - r);
+                        ctx.lineTo(p.x - r, p.y + r);
+                    } else if (target.type === "pixel") {
+                        ctx.rect(p.x - r / 2, p.y - r / 2, r, r);
+                    } else if (target.type === "angle") {
+                        ctx.font = "12px sans-serif";
+                        ctx.fillText(Math.round(target.angle * 180 / Math.PI) + "\u00b0", p.x + r, p.y - r);
+                    }
+
+                    ctx.stroke();
+                }
+            }
+            ctx.restore();
+
+            // Draw long-press (mirror modifier) indicator
+            ctx.save();
+            {
+                if (this.mouse.longPress) {
+                    ctx.strokeStyle = this.options.secondaryColor;
+                    ctx.lineWidth = 2;
+                    setShadow();
+                    ctx.beginPath();
+                    ctx.arc(this.mouse.position.x, this.mouse.position.y, Constants.ControlPointSize * 3, 0, Math.PI * 2);
+                    ctx.stroke();
+                }
+            }
+            ctx.restore();
+
 
 
 
         }
 
         /**
-         * Aligns the selected control points to the given direction
-         * @param {"left"|"right"|"top"|"bottom"} direction The alignment direction
+         * Aligns the selected control points to the given direction. center-horizontal gives all the points the
+         * x of the center of the selection, center-vertical its y
+         * @param {"left"|"right"|"top"|"bottom"|"center-horizontal"|"center-vertical"} direction The alignment direction
+         * @param {ControlPoint} [keyPoint] A selected point to align to instead of the selection bounds. It doesn't move
          */
-        alignSelectedPoints(direction) {
-            if (this.selectedControlPoints.length < 2)
+        alignSelectedPoints(direction, keyPoint) {
+            let points = this.selectedControlPoints;
+            if (points.length < 2)
                 return;
-            if (direction === "left") {
-                let x = Math.min(...this.selectedControlPoints.map(c => c.x));
-                this.selectedControlPoints.forEach(e => e.x = x);
-                this.saveHistory();
-            } else if (direction === "right") {
-                let x = Math.max(...this.selectedControlPoints.map(c => c.x));
-                this.selectedControlPoints.forEach(e => e.x = x);
-                this.saveHistory();
-            } else if (direction === "top") {
-                let y = Math.max(...this.selectedControlPoints.map(c => c.y));
-                this.selectedControlPoints.forEach(e => e.y = y);
-                this.saveHistory();
-            } else if (direction === "bottom") {
-                let y = Math.min(...this.selectedControlPoints.map(c => c.y));
-                this.selectedControlPoints.forEach(e => e.y = y);
-                this.saveHistory();
+            if (keyPoint && !points.includes(keyPoint))
+                throw new Error("The key point must be selected");
+
+            let xs = points.map(c => c.x);
+            let ys = points.map(c => c.y);
+
+            let x = {
+                "left": () => Math.min(...xs),
+                "right": () => Math.max(...xs),
+                "center-horizontal": () => (Math.min(...xs) + Math.max(...xs)) / 2
+            }[direction];
+            let y = {
+                "top": () => Math.max(...ys),
+                "bottom": () => Math.min(...ys),
+                "center-vertical": () => (Math.min(...ys) + Math.max(...ys)) / 2
+            }[direction];
+
+            let positions;
+            if (x) {
+                let value = keyPoint ? keyPoint.x : x();
+                positions = points.map(e => new THREE.Vector3(value, e.y, e.z));
+            } else if (y) {
+                let value = keyPoint ? keyPoint.y : y();
+                positions = points.map(e => new THREE.Vector3(e.x, value, e.z));
             } else {
                 throw new Error("Invalid alignment direction: " + direction);
             }
+
+            // The handles of the smooth and symmetric knots move along
+            this.patch.movePointsTo(points, positions);
+
+            this.emit("change", { reason: "align" });
+            this.saveHistory();
+        }
+
+        /**
+         * Spaces the selected control points evenly. The 2 outermost points don't move.
+         * - horizontal: evenly spaced x coordinates, in x order
+         * - vertical: evenly spaced y coordinates, in y order
+         * - along-path: evenly spaced by arc length along a smooth curve through the points, ordered from one
+         *   end of the selection to the other
+         * @param {"horizontal"|"vertical"|"along-path"} mode The distribution mode
+         */
+        distributeSelectedPoints(mode) {
+            let points = this.selectedControlPoints.slice();
+            if (!["horizontal", "vertical", "along-path"].includes(mode))
+                throw new Error("Invalid distribution mode: " + mode);
+            if (points.length < 3)
+                return;
+
+            if (mode === "horizontal" || mode === "vertical") {
+                let axis = mode === "horizontal" ? "x" : "y";
+                points.sort((a, b) => a[axis] - b[axis]);
+
+                let first = points[0][axis];
+                let step = (points[points.length - 1][axis] - first) / (points.length - 1);
+                this.patch.movePointsTo(points, points.map((c, i) => new THREE.Vector3().copy(c).setComponent(axis === "x" ? 0 : 1, first + i * step)));
+            } else {
+                // Order the points along the line joining the 2 farthest ones
+                let [start, end] = [points[0], points[1]];
+                for (let a of points)
+                    for (let b of points)
+                        if (a.distanceToSquared(b) > start.distanceToSquared(end))
+                            [start, end] = [a, b];
+
+                let direction = new THREE.Vector3().subVectors(end, start);
+                let along = c => new THREE.Vector3().subVectors(c, start).dot(direction);
+                points.sort((a, b) => along(a) - along(b));
+
+                let curve = new THREE.CatmullRomCurve3(points.map(c => new THREE.Vector3().copy(c)), false, "centripetal");
+                let positions = points.map((c, i) => curve.getPointAt(i / (points.length - 1)));
+                this.patch.movePointsTo(points, positions);
+            }
+
+            this.emit("change", { reason: "distribute" });
+            this.saveHistory();
+        }
+
+        /**
+         * Replaces the patch of the active layer with the visible side of a cylinder (a bottle or a mug label).
+         * The layer is switched to bezier mode, so the result can be edited as any other patch; undo brings back
+         * the previous patch and mode. Patches with locked points are left as they are.
+         * @param {object} options
+         * @param {{x: number, y: number}} options.bottom Bottom point of the axis, in background pixels
+         * @param {{x: number, y: number}} options.top Top point of the axis, in background pixels
+         * @param {number} options.radius The apparent radius of the cylinder, in background pixels
+         * @param {number} [options.startAngle=-60] Start of the visible arc in degrees (0 faces the camera)
+         * @param {number} [options.endAngle=60] End of the visible arc in degrees
+         * @param {number} [options.tilt=0] Camera tilt in degrees (ellipse squash). Positive values look down on the cylinder
+         * @param {number} [options.maxArc=30] Maximum arc in degrees covered by a single sub-patch
+         * @returns {boolean} true if the patch was replaced, false if it has locked points
+         */
+        wrapCylinder(options) {
+            if (this.patch.allControlPoints.some(c => c.locked))
+                return false;
+
+            this.patch.initFromCylinder(options);
+            this.activeLayer.options.mode = "bezier";
+
+            this.setSelectedControlPoints([]);
+            this.emit("change", { reason: "cylinder" });
+            this.saveHistory();
+            return true;
+        }
+
+        /**
+         * Re-initializes the patch of the active layer from its 4 corners. Patches with locked points are left as they are
+         * @param {THREE.Vector3} topLeft Top left corner
+         * @param {THREE.Vector3} topRight Top right corner
+         * @param {THREE.Vector3} bottomLeft Bottom left corner
+         * @param {THREE.Vector3} bottomRight Bottom right corner
+         * @param {boolean} [keepCuts] Cut the new patch at the same u/v positions as the current one.
+         * Defaults to the keepCuts option
+         * @returns {boolean} true if the patch was replaced, false if it has locked points
+         */
+        placeCorners(topLeft, topRight, bottomLeft, bottomRight, keepCuts) {
+            if (this.patch.allControlPoints.some(c => c.locked))
+                return false;
+
+            if (keepCuts === undefined)
+                keepCuts = this.options.keepCuts;
+
+            let cuts = this.patch.cuts();
+            let mode = this.activeLayer.options.mode;
+
+            this.patch.initFromCorners(topLeft, topRight, bottomLeft, bottomRight);
+
+            if (keepCuts) {
+                cuts.u.forEach(u => this.patch.subdivideVertical(u, mode));
+                cuts.v.forEach(v => this.patch.subdivideHorizontal(v, mode));
+            }
+
+            this.setSelectedControlPoints([]);
+            this.emit("change", { reason: "corners" });
+            this.saveHistory();
+            return true;
+        }
+
+        /**
+         * Locks or unlocks control points of the active patch. Locked points can't be selected, and they are not moved
+         * by drags, nudges, alignment or the Transform tool. To lock a whole sub-patch, pass its control points
+         * (see subPatchAt())
+         * @param {boolean} locked Lock or unlock
+         * @param {ControlPoint[]} [points] The points. Defaults to the selected points when locking, and to all the points when unlocking
+         */
+        setLocked(locked, points) {
+            this.setPointsFlag("locked", locked, points);
+        }
+
+        /**
+         * Hides or shows control points of the active patch. Hidden points are not shown and can't be selected
+         * @param {boolean} hidden Hide or show
+         * @param {ControlPoint[]} [points] The points. Defaults to the selected points when hiding, and to all the points when showing
+         */
+        setHidden(hidden, points) {
+            this.setPointsFlag("hidden", hidden, points);
+        }
+
+        /**
+         * Sets the locked or hidden flag of control points, removing them from the selection
+         * @private
+         * @param {"locked"|"hidden"} flag The flag
+         * @param {boolean} value The value
+         * @param {ControlPoint[]} [points] The points
+         */
+        setPointsFlag(flag, value, points) {
+            value = !!value;
+            points = (points || (value ? this.selectedControlPoints : this.patch.allControlPoints))
+                .filter(c => this.patch.allControlPoints.includes(c) && c[flag] !== value);
+            if (points.length === 0)
+                return;
+
+            points.forEach(c => c[flag] = value);
+            this.setSelectedControlPoints(this.selectedControlPoints.filter(c => this.isSelectable(c)));
+
+            this.emit("change", { reason: flag === "locked" ? "lock" : "hide" });
+            this.saveHistory();
+        }
+
+        /**
+         * @private
+         * @param {ControlPoint} point A control point
+         * @returns {boolean} true if the point can be selected
+         */
+        isSelectable(point) {
+            return !point.locked && !point.hidden;
+        }
+
+        /**
+         * Finds the sub-patch of the active patch at the given position
+         * @param {number} x The x coordinate in world space
+         * @param {number} y The y coordinate in world space
+         * @returns {BezierPatch3} The sub-patch, or null if the position is outside the patch
+         */
+        subPatchAt(x, y) {
+            let hit = this.surfaceAt(x, y);
+            if (!hit)
+                return null;
+
+            for (let p of this.patch.bezierPatches)
+                if (p.domain.contains(hit.u, hit.v))
+                    return p;
+            return null;
+        }
+
+        /**
+         * Sets the continuity of knots of the active patch, aligning their handles
+         * @param {"corner"|"smooth"|"symmetric"} continuity The continuity type
+         * @param {ControlPoint[]} [points] The knots, the selected control points by default. Other points are ignored
+         * @returns {boolean} true if any knot was changed
+         */
+        setContinuity(continuity, points) {
+            let knots = this.patch.setContinuity(continuity, points || this.selectedControlPoints);
+            if (knots.length === 0)
+                return false;
+
+            this.emit("change", { reason: "continuity" });
+            this.saveHistory();
+            return true;
+        }
+
+        /**
+         * Cuts the active patch at the given position
+         * @param {{u: number}|{v: number}} cut A vertical cut at u or a horizontal cut at v, between 0 and 1
+         * @returns {boolean} true if the patch was cut, false if there is a cut at that position already
+         */
+        cutAt(cut) {
+            if (!this.addCut(cut))
+                return false;
+
+            this.emit("change", { reason: "cut" });
+            this.saveHistory();
+            return true;
+        }
+
+        /**
+         * Cuts the active patch in cols x rows sub-patches of the same size. Existing cuts are kept, and
+         * positions that are cut already are skipped. The whole subdivision is a single history entry
+         * @param {number} cols The number of columns
+         * @param {number} rows The number of rows
+         */
+        subdivideUniform(cols, rows) {
+            if (!(Number.isInteger(cols) && cols >= 1 && Number.isInteger(rows) && rows >= 1))
+                throw new Error("Invalid subdivision: " + cols + " x " + rows);
+
+            let changed = false;
+            for (let j = 1; j < cols; j++)
+                changed = this.addCut({ u: j / cols }) || changed;
+            for (let i = 1; i < rows; i++)
+                changed = this.addCut({ v: i / rows }) || changed;
+
+            if (changed) {
+                this.emit("change", { reason: "cut" });
+                this.saveHistory();
+            }
+        }
+
+        /**
+         * Cuts the active patch unless there is a cut at that position already
+         * @private
+         * @param {{u: number}|{v: number}} cut The cut
+         * @returns {boolean} true if the patch was cut
+         */
+        addCut(cut) {
+            let vertical = cut.u !== undefined;
+            let value = vertical ? cut.u : cut.v;
+            if (!(value > 0 && value < 1))
+                throw new Error("Invalid cut position: " + value);
+
+            if (this.patch.cuts()[vertical ? "u" : "v"].some(c => Math.abs(c - value) < 1e-9))
+                return false;
+
+            let mode = this.activeLayer.options.mode;
+            if (vertical)
+                this.patch.subdivideVertical(value, mode);
+            else
+                this.patch.subdivideHorizontal(value, mode);
+
+            return true;
+        }
+
+        /**
+         * Removes a cut of the active patch, merging the sub-patches on both sides
+         * @param {{u: number}|{v: number}} cut The vertical cut nearest to u, or the horizontal cut nearest to v
+         * @returns {boolean} true if a cut was removed, false if the patch has no cut in that direction or if removing
+         * the cut would move locked points
+         */
+        removeCut(cut) {
+            let vertical = cut.u !== undefined;
+            let positions = this.patch.cuts()[vertical ? "u" : "v"];
+            if (positions.length === 0)
+                return false;
+
+            let target = vertical ? cut.u : cut.v;
+            let index = positions.reduce((best, p, i) => Math.abs(p - target) < Math.abs(positions[best] - target) ? i : best, 0);
+
+            if (!(vertical ? this.patch.canMergeColumns(index) : this.patch.canMergeRows(index)))
+                return false;
+
+            if (vertical)
+                this.patch.mergeColumns(index, this.activeLayer.options.mode);
+            else
+                this.patch.mergeRows(index, this.activeLayer.options.mode);
+
+            this.setSelectedControlPoints([]);
+            this.emit("change", { reason: "merge" });
+            this.saveHistory();
+            return true;
+        }
+
+        /**
+         * Finds the cut of the active patch closest to a screen position
+         * @private
+         * @param {THREE.Vector2} position The position in screen coordinates
+         * @returns {{u: number}|{v: number}} The cut, or null if none is within Constants.MergeDistance pixels
+         */
+        cutNear(position) {
+            let cuts = this.patch.cuts();
+            let point = new THREE.Vector3(position.x, position.y, 0);
+            let line = new THREE.Line3();
+            let closest = new THREE.Vector3();
+
+            let result = null;
+            let resultDistance = Constants.MergeDistance;
+
+            for (let cut of [...cuts.u.map(u => ({ u: u })), ...cuts.v.map(v => ({ v: v }))]) {
+                let points = this.cutPolyline(cut);
+                for (let i = 1; i < points.length; i++) {
+                    line.set(new THREE.Vector3(points[i - 1].x, points[i - 1].y, 0), new THREE.Vector3(points[i].x, points[i].y, 0));
+                    let d = line.closestPointToPoint(point, true, closest).distanceTo(point);
+                    if (d <= resultDistance) {
+                        result = cut;
+                        resultDistance = d;
+                    }
+                }
+            }
+
+            return result;
+        }
+
+        /**
+         * Computes a cut line of the active patch in screen coordinates
+         * @private
+         * @param {{u: number}|{v: number}} cut The cut
+         * @returns {THREE.Vector2[]} The points of the line
+         */
+        cutPolyline(cut) {
+            let layerOptions = this.activeLayer.options;
+            let vertical = cut.u !== undefined;
+            let segments = vertical ? layerOptions.gridHeight : layerOptions.gridWidth;
+
+            let points = [];
+            for (let i = 0; i <= segments; i++) {
+                let point = this.patch.compute(vertical ? cut.u : i / segments, vertical ? i / segments : cut.v, layerOptions.mode);
+                points.push(this.worldToScreen(point).clone());
+            }
+            return points;
+        }
+
+        /**
+         * Orders 4 points as the corners of a quad: bottom left (smallest x + y) first, then counterclockwise
+         * @private
+         * @param {THREE.Vector3[]} points The points, in any order
+         * @returns {THREE.Vector3[]} The bottom left, bottom right, top right and top left corners
+         */
+        sortCorners(points) {
+            let center = points.reduce((c, p) => c.add(p), new THREE.Vector3()).divideScalar(points.length);
+            let angle = p => Math.atan2(p.y - center.y, p.x - center.x);
+
+            let sorted = points.slice().sort((a, b) => angle(a) - angle(b));
+            let first = sorted.reduce((best, p, i) => p.x + p.y < sorted[best].x + sorted[best].y ? i : best, 0);
+
+            return [...sorted.slice(first), ...sorted.slice(0, first)];
         }
 
 
@@ -1980,7 +2906,10 @@
          * @private
          */
         loop() {
-            window.requestAnimationFrame(this.loop.bind(this));
+            if (this.disposed)
+                return;
+
+            this.animationFrame = window.requestAnimationFrame(this.loop.bind(this));
 
             this.updateProjectionMatrix();
             this.updatePatch();
@@ -1997,7 +2926,8 @@
          * @private
          */
         updatePatch() {
-            this.patch.update();
+            for (let layer of this.layers)
+                layer.patch.update();
         }
 
         /**
@@ -2006,19 +2936,6 @@
          */
         updateMeshes() {
 
-            const gw = this.options.gridWidth + 1;
-            const gh = this.options.gridHeight + 1;
-
-            // Compute grid points
-            {
-                for (let x = 0; x < gw; x++) {
-                    for (let y = 0; y < gh; y++) {
-                        let point = this.patch.compute(x / (gw - 1), y / (gh - 1), this.options.mode);
-                        this.gridPoints[y * gw + x].copy(point);
-                    }
-                }
-            }
-
             // Update background plane 
             if (this.meshes.backgroundPlane) {
                 let geom = this.meshes.backgroundPlane.geometry;
@@ -2032,33 +2949,9 @@
 
             }
 
-
-            // Update meshes
-            {
-                let linesPositions = this.meshes.gridLines.geometry.attributes.position;
-                let planePositions = this.meshes.plane.geometry.attributes.position;
-
-                for (let x = 0; x < gw; x++) {
-                    for (let y = 0; y < gh; y++) {
-                        let idx = y * gw + x;
-                        let bufIdx = idx * 3;
-
-                        linesPositions.array[bufIdx + 0] = planePositions.array[bufIdx + 0] = this.gridPoints[idx].x;
-                        linesPositions.array[bufIdx + 1] = planePositions.array[bufIdx + 1] = this.gridPoints[idx].y;
-                        linesPositions.array[bufIdx + 2] = 0.01;
-                        planePositions.array[bufIdx + 2] = 0;
-                    }
-                }
-
-                linesPositions.needsUpdate = true;
-                planePositions.needsUpdate = true;
-
-                this.meshes.plane.geometry.computeBoundingSphere();
-                this.meshes.plane.geometry.computeBoundingBox();
-
-
-            }
-
+            // Update layers
+            let pixelsPerUnit = this.containerHeight / (this.camera.top - this.camera.bottom);
+            this.layers.forEach((layer, i) => layer.updateMeshes(i, pixelsPerUnit));
 
         }
 
@@ -2096,109 +2989,539 @@
                 this.cameraOrigin.y = y - (v.y - h) / 2;
             }
 
-            this.updateProjectionMatrix();
+            this.updateProjectionMatrix();
+
+        }
+
+        /**
+         * Updates the projection matrix
+         * @private
+         */
+        updateProjectionMatrix() {
+
+            let [w, h] = [this.container.clientWidth, this.container.clientHeight];
+            let a = w / h;
+
+            if (this.zoomValue < 1) {
+                this.zoomValue = 1;
+            }
+
+            let z = 1 / this.zoomValue;
+
+            let minY = -this.backgroundHeight;
+            let maxY = this.backgroundHeight * 2;
+
+            let s = (3 * this.backgroundHeight * a - this.backgroundWidth) / 2;
+
+            let minX = -s;
+            let maxX = s + this.backgroundWidth;
+
+            let left = this.cameraOrigin.x;
+            let right = this.cameraOrigin.x + a * z * (maxY - minY);
+            let bottom = this.cameraOrigin.y;
+            let top = + this.cameraOrigin.y + z * (maxY - minY);
+
+            let offsetX = 0, offsetY = 0;
+            if (left < minX) {
+                offsetX = minX - left;
+            } else if (right > maxX) {
+                offsetX = maxX - right;
+            }
+
+            if (bottom < minY) {
+                offsetY = minY - bottom;
+            } else if (top > maxY) {
+                offsetY = maxY - top;
+            }
+
+            left += offsetX;
+            right += offsetX;
+            top += offsetY;
+            bottom += offsetY;
+
+            this.cameraOrigin.x = left;
+            this.cameraOrigin.y = bottom;
+
+
+            this.camera.left = left;
+            this.camera.right = right;
+            this.camera.bottom = bottom;
+            this.camera.top = top;
+
+            this.camera.near = -1;
+            this.camera.far = 1;
+            this.camera.updateProjectionMatrix();
+        }
+
+
+        /**
+         * Undo the last command (goes back in history)
+         */
+        undo() {
+            this.flushNudges();
+            this.history.back();
+            this.restoreHistory();
+            this.emitHistoryChange();
+        }
+
+        /**
+         * Redo the last command (goes forward in history)
+         */
+        redo() {
+            this.flushNudges();
+            this.history.forward();
+            this.restoreHistory();
+            this.emitHistoryChange();
+        }
+
+        /**
+         * Updates the size of the renderer and the projection matrix
+         * @private
+         */
+        reshape() {
+            this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+            this.uiCanvas.width = this.container.clientWidth;
+            this.uiCanvas.height = this.container.clientHeight;
+
+            this.containerWidth = this.container.clientWidth;
+            this.containerHeight = this.container.clientHeight;
+
+            this.updateProjectionMatrix();
+        }
+
+        /**
+         * Key down event handler
+         * @private
+         * @param {KeyEvent} evt The event
+         */
+        keydown(evt) {
+            this.keystate[evt.code] = true;
+
+            // Don't steal the arrow keys from text fields
+            let t = evt.target;
+            if (t && (t.tagName === "INPUT" || t.tagName === "TEXTAREA" || t.isContentEditable))
+                return;
+
+            if (evt.code === "Escape" && this.cornerPoints.length > 0) {
+                this.cornerPoints = [];
+                evt.preventDefault();
+                return;
+            }
+
+            if (this.selectionPolygon.length > 0 && (evt.code === "Escape" || evt.code === "Enter" || evt.code === "NumpadEnter")) {
+                if (evt.code !== "Escape")
+                    this.selectPolygon(this.selectionOperation(evt));
+                this.selectionPolygon = [];
+                evt.preventDefault();
+                return;
+            }
+
+            if ((this.selectedTool === Tools.HorizontalCut || this.selectedTool === Tools.VerticalCut) &&
+                !evt.ctrlKey && !evt.metaKey && !evt.altKey && this.cutEntryKey(evt)) {
+                evt.preventDefault();
+                return;
+            }
+
+            let direction = {
+                ArrowLeft: [-1, 0],
+                ArrowRight: [1, 0],
+                ArrowUp: [0, 1],
+                ArrowDown: [0, -1]
+            }[evt.code];
+
+            if (!direction || evt.ctrlKey || evt.metaKey)
+                return;
+
+            if (this.selectedTool === Tools.Transform && evt.altKey) {
+                if (direction[0] !== 0) {
+                    let step = evt.shiftKey ? Constants.NudgeLargeRotateStep : Constants.NudgeRotateStep;
+                    this.rotateBy(-direction[0] * step);
+                    evt.preventDefault();
+                }
+            } else {
+                let step = evt.shiftKey ? Constants.NudgeLargeStep : Constants.NudgeStep;
+                if (this.nudge(direction[0] * step, direction[1] * step, evt.altKey))
+                    evt.preventDefault();
+            }
+        }
+
+        /**
+         * Handles the keys of the numeric entry of the cut tools: digits and the decimal point type the cut
+         * position in percent, Backspace deletes, Enter cuts and Escape cancels
+         * @private
+         * @param {KeyboardEvent} evt The event
+         * @returns {boolean} true if the key was used
+         */
+        cutEntryKey(evt) {
+            if (/^[0-9.]$/.test(evt.key)) {
+                this.cutEntry += evt.key;
+            } else if (evt.code === "Backspace" && this.cutEntry) {
+                this.cutEntry = this.cutEntry.slice(0, -1);
+            } else if (evt.code === "Escape" && this.cutEntry) {
+                this.cutEntry = "";
+            } else if ((evt.code === "Enter" || evt.code === "NumpadEnter") && this.cutEntry) {
+                let value = this.cutEntryValue();
+                this.cutEntry = "";
+                if (value !== null)
+                    this.cutAt(this.selectedTool === Tools.HorizontalCut ? { v: value } : { u: value });
+            } else {
+                return false;
+            }
+            return true;
+        }
+
+        /**
+         * @private
+         * @returns {number} The cut position typed with the cut tools, or null if it is empty or out of the (0, 1) range
+         */
+        cutEntryValue() {
+            let value = Number(this.cutEntry) / 100;
+            return this.cutEntry && value > 0 && value < 1 ? value : null;
+        }
+
+        /**
+         * Moves the selected control points by the given offset or, with the Transform tool, the whole patch.
+         * With the Free Transform tool the frame around the selection moves along.
+         * Consecutive nudges are recorded as a single history entry.
+         * @param {number} x X offset in background pixels
+         * @param {number} y Y offset in background pixels (up is positive)
+         * @param {boolean} [mirror] Mirror the opposite handle (only when a single control point is selected)
+         * @returns {boolean} true if anything was moved
+         */
+        nudge(x, y, mirror) {
+            let offset = new THREE.Vector3(x, y, 0);
+
+            if (this.selectedTool === Tools.Transform) {
+                this.translatePatch(offset);
+                this.emit("change", { reason: "transform" });
+            } else if (this.selectedTool === Tools.FreeTransform && this.freeTransformState()) {
+                let state = this.freeTransform;
+                this.applyFreeTransform(state, state.corners.map(c => c.clone().add(offset)));
+                this.emit("change", { reason: "transform" });
+            } else if (this.selectedControlPoints.length > 0) {
+                mirror = !!mirror && this.selectedControlPoints.length == 1;
+                this.patch.movePoints(this.selectedControlPoints, offset, mirror);
+                this.emit("change", { reason: "move" });
+            } else {
+                return false;
+            }
+
+            this.scheduleNudgeHistory();
+            return true;
+        }
+
+        /**
+         * The pivot of the Transform tool rotations and scalings in world coordinates, null for the patch center
+         * @type {THREE.Vector3}
+         */
+        get transformPivot() {
+            return this.transformTool.pivot ? this.transformTool.pivot.clone() : null;
+        }
+
+        set transformPivot(value) {
+            this.transformTool.pivot = value ? new THREE.Vector3(value.x, value.y, 0) : null;
+            this.updateUI();
+        }
+
+        /**
+         * Rotates the whole patch around the Transform tool pivot.
+         * Consecutive rotations are recorded as a single history entry.
+         * @param {number} angle The angle in radians (counterclockwise)
+         */
+        rotateBy(angle) {
+            this.patch.rotateZ(this.transformTool.pivotPosition, angle);
+            this.emit("change", { reason: "transform" });
+            this.scheduleNudgeHistory();
+        }
+
+        /**
+         * Moves the whole patch, and the Transform tool pivot with it
+         * @private
+         * @param {THREE.Vector3} offset The offset
+         */
+        translatePatch(offset) {
+            this.patch.translate(offset);
+            if (this.transformTool.pivot)
+                this.transformTool.pivot.add(offset);
+        }
+
+        /**
+         * Computes the transform of a Transform tool scale handle drag: corner handles scale freely (uniformly
+         * with Shift), edge handles scale along one axis or, with Alt, skew along the edge
+         * @private
+         * @param {{x: number, y: number}} handle The handle side, -1, 0 or 1 on each axis
+         * @param {THREE.Vector3} start The handle position when the drag started
+         * @param {THREE.Vector3} target The dragged handle position
+         * @param {THREE.Vector3} pivot The pivot of the transform
+         * @param {boolean} uniform Scale uniformly (corner handles)
+         * @param {boolean} skew Skew instead of scaling (edge handles)
+         * @returns {THREE.Matrix4} The transform matrix
+         */
+        scaleHandleMatrix(handle, start, target, pivot, uniform, skew) {
+            let from = start.clone().sub(pivot);
+            let to = target.clone().sub(pivot);
+            let ratio = (a, b) => Math.abs(b) > 1e-9 ? a / b : 1;
+            let clamp = s => Math.abs(s) < Constants.MinScale ? (s < 0 ? -1 : 1) * Constants.MinScale : s;
+
+            let corner = handle.x !== 0 && handle.y !== 0;
+            let [sx, sy, kx, ky] = [1, 1, 0, 0];
+
+            if (skew && !corner) {
+                if (handle.y !== 0)
+                    kx = ratio(target.x - start.x, from.y);
+                else
+                    ky = ratio(target.y - start.y, from.x);
+            } else if (uniform && corner) {
+                sx = sy = clamp(ratio(to.dot(from), from.lengthSq()));
+            } else {
+                if (handle.x !== 0)
+                    sx = clamp(ratio(to.x, from.x));
+                if (handle.y !== 0)
+                    sy = clamp(ratio(to.y, from.y));
+            }
 
+            let matrix = new THREE.Matrix4().set(
+                sx, kx, 0, 0,
+                ky, sy, 0, 0,
+                0, 0, 1, 0,
+                0, 0, 0, 1
+            );
+            return core.Util.pivotMatrix(pivot, matrix);
         }
 
         /**
-         * Updates the projection matrix
+         * Returns the frame of the Free Transform tool, which maps the bounding box of the selected control points
+         * (with the handles that move along) to a quadrilateral. The frame is kept while the points are only
+         * moved by the tool, and made again from their bounds when the selection or the points change
          * @private
+         * @returns {{points: ControlPoint[], original: Map<ControlPoint, THREE.Vector3>, positions: THREE.Vector3[],
+         * box: THREE.Box3, corners: THREE.Vector3[]}} The frame, with its corners in bottom left, bottom right,
+         * top right, top left order, or null if there is nothing to transform
          */
-        updateProjectionMatrix() {
+        freeTransformState() {
+            let points = this.selectedTool === Tools.FreeTransform ? this.patch.movingPoints(this.selectedControlPoints) : [];
+            let state = this.freeTransform;
 
-            let [w, h] = [this.container.clientWidth, this.container.clientHeight];
-            let a = w / h;
+            if (state && state.points.length === points.length &&
+                state.points.every((p, i) => p === points[i] && p.equals(state.positions[i])))
+                return state;
 
-            if (this.zoomValue < 1) {
-                this.zoomValue = 1;
-            }
+            this.freeTransform = null;
+            if (points.length < 2)
+                return null;
 
-            let z = 1 / this.zoomValue;
+            let box = new THREE.Box3().setFromPoints(points);
+            box.min.z = box.max.z = 0;
+            let size = box.getSize(new THREE.Vector3());
+            if (size.x === 0 && size.y === 0)
+                return null;
 
-            let minY = -this.backgroundHeight;
-            let maxY = this.backgroundHeight * 2;
+            // Points along a line still get a frame that can be scaled across it
+            let minSize = Math.max(size.x, size.y) / 4;
+            box.expandByVector(new THREE.Vector3(Math.max(minSize - size.x, 0) / 2, Math.max(minSize - size.y, 0) / 2, 0));
+
+            this.freeTransform = {
+                points: points,
+                original: new Map(points.map(p => [p, p.clone()])),
+                positions: points.map(p => p.clone()),
+                box: box,
+                corners: [
+                    new THREE.Vector3(box.min.x, box.min.y, 0),
+                    new THREE.Vector3(box.max.x, box.min.y, 0),
+                    new THREE.Vector3(box.max.x, box.max.y, 0),
+                    new THREE.Vector3(box.min.x, box.max.y, 0)
+                ]
+            };
+            return this.freeTransform;
+        }
 
-            let s = (3 * this.backgroundHeight * a - this.backgroundWidth) / 2;
+        /**
+         * Computes the screen positions of the Free Transform tool handles
+         * @private
+         * @param {object} state The frame (see freeTransformState)
+         * @returns {{type: "corner"|"edge"|"rotate", index: number, position: THREE.Vector2}[]} The handles. Edge i
+         * goes from corner i to corner i + 1, the rotate handle stands out of the top edge
+         */
+        freeTransformHandles(state) {
+            let corners = state.corners.map(c => this.worldToScreen(c).clone());
+            let handles = corners.map((p, i) => ({ type: "corner", index: i, position: p }));
+
+            corners.forEach((p, i) => handles.push({
+                type: "edge",
+                index: i,
+                position: p.clone().lerp(corners[(i + 1) % 4], 0.5)
+            }));
+
+            let center = corners.reduce((sum, p) => sum.add(p), new THREE.Vector2()).multiplyScalar(1 / 4);
+            let top = handles[6].position;
+            let direction = top.clone().sub(center);
+            if (direction.lengthSq() === 0)
+                direction.set(0, -1);
+
+            handles.push({
+                type: "rotate",
+                index: 0,
+                position: top.clone().add(direction.normalize().multiplyScalar(Constants.FreeTransformRotateDistance))
+            });
+            return handles;
+        }
 
-            let minX = -s;
-            let maxX = s + this.backgroundWidth;
+        /**
+         * Finds the Free Transform tool handle at a screen position
+         * @private
+         * @param {object} state The frame (see freeTransformState)
+         * @param {THREE.Vector2} position The screen position
+         * @returns {{type: "corner"|"edge"|"rotate"|"move", index: number}} The handle, a move handle inside the
+         * frame, or null
+         */
+        freeTransformHandleAt(state, position) {
+            let handles = this.freeTransformHandles(state);
+            let point = new THREE.Vector2(position.x, position.y);
 
-            let left = this.cameraOrigin.x;
-            let right = this.cameraOrigin.x + a * z * (maxY - minY);
-            let bottom = this.cameraOrigin.y;
-            let top = + this.cameraOrigin.y + z * (maxY - minY);
+            let handle = handles.find(h => h.position.distanceTo(point) <= Constants.FreeTransformHandleSize);
+            if (handle)
+                return handle;
 
-            let offsetX = 0, offsetY = 0;
-            if (left < minX) {
-                offsetX = minX - left;
-            } else if (right > maxX) {
-                offsetX = maxX - right;
-            }
+            if (core.Util.pointInPolygon(point, handles.slice(0, 4).map(h => h.position)))
+                return { type: "move", index: 0 };
 
-            if (bottom < minY) {
-                offsetY = minY - bottom;
-            } else if (top > maxY) {
-                offsetY = maxY - top;
+            return null;
+        }
+
+        /**
+         * Computes the Free Transform frame corners while dragging one of its handles: the frame moves, rotates
+         * around its center (in snapAngle steps), scales from the opposite corner (uniformly with Shift) or edge,
+         * and with Alt a corner moves alone to distort the frame in perspective
+         * @private
+         * @param {object} dragInfo The drag info
+         * @param {PointerEvent} evt The pointer event
+         * @returns {THREE.Vector3[]} The new corners
+         */
+        freeTransformCorners(dragInfo, evt) {
+            let start = dragInfo.freeTransformCorners;
+            let handle = dragInfo.freeTransformHandle;
+            let delta = this.mouse.world.clone().sub(dragInfo.world).setZ(0);
+            let center = start.reduce((sum, c) => sum.add(c), new THREE.Vector3()).multiplyScalar(1 / 4);
+            let exclude = { points: this.freeTransform.points };
+
+            this.snapTarget = null;
+
+            if (handle.type === "move") {
+                let target = center.clone().add(delta);
+                if (!evt.ctrlKey)
+                    this.snapTarget = this.snapPosition(target, exclude);
+
+                let offset = target.sub(center);
+                return start.map(c => c.clone().add(offset));
             }
 
-            left += offsetX;
-            right += offsetX;
-            top += offsetY;
-            bottom += offsetY;
+            if (handle.type === "rotate") {
+                let a0 = Math.atan2(dragInfo.world.y - center.y, dragInfo.world.x - center.x);
+                let a1 = Math.atan2(this.mouse.world.y - center.y, this.mouse.world.x - center.x);
+                let angle = Math.atan2(Math.sin(a1 - a0), Math.cos(a1 - a0));
 
-            this.cameraOrigin.x = left;
-            this.cameraOrigin.y = bottom;
+                let step = this.options.snapAngle * Math.PI / 180;
+                if (step > 0 && !evt.ctrlKey) {
+                    angle = Math.round(angle / step) * step;
+                    this.snapTarget = { type: "angle", position: center, angle: angle };
+                }
 
+                let matrix = core.Util.pivotMatrix(center, new THREE.Matrix4().makeRotationZ(angle));
+                return start.map(c => c.clone().applyMatrix4(matrix));
+            }
 
-            this.camera.left = left;
-            this.camera.right = right;
-            this.camera.bottom = bottom;
-            this.camera.top = top;
+            // Coordinates of v in the (e1, e2) basis
+            let coordinates = (v, e1, e2) => {
+                let det = e1.x * e2.y - e1.y * e2.x;
+                return [(v.x * e2.y - v.y * e2.x) / det, (e1.x * v.y - e1.y * v.x) / det];
+            };
+            let clamp = s => Math.abs(s) < Constants.MinScale ? (s < 0 ? -1 : 1) * Constants.MinScale : s;
+
+            let i = handle.index;
+            let [a, b, c, d] = [0, 1, 2, 3].map(k => start[(i + k) % 4]);
+            let target = (handle.type === "corner" ? a.clone() : a.clone().lerp(b, 0.5)).add(delta);
+            if (!evt.ctrlKey)
+                this.snapTarget = this.snapPosition(target, exclude);
+
+            if (handle.type === "corner") {
+                if (evt.altKey)
+                    return start.map(p => p === a ? target : p.clone());
+
+                // Scale in the frame of the edges meeting at the opposite corner
+                let e1 = d.clone().sub(c);
+                let e2 = b.clone().sub(c);
+                let [a0, b0] = coordinates(a.clone().sub(c), e1, e2);
+                let [a1, b1] = coordinates(target.clone().sub(c), e1, e2);
+                let [s1, s2] = [clamp(a1 / a0), clamp(b1 / b0)];
+
+                if (evt.shiftKey) {
+                    let diagonal = a.clone().sub(c);
+                    s1 = s2 = clamp(target.clone().sub(c).dot(diagonal) / diagonal.lengthSq());
+                }
 
-            this.camera.near = -1;
-            this.camera.far = 1;
-            this.camera.updateProjectionMatrix();
-        }
+                return start.map(p => {
+                    let [x, y] = coordinates(p.clone().sub(c), e1, e2);
+                    return c.clone().addScaledVector(e1, x * s1).addScaledVector(e2, y * s2);
+                });
+            }
 
+            // Scale across the edge, from the opposite edge
+            let origin = c.clone().lerp(d, 0.5);
+            let along = b.clone().sub(a);
+            let across = a.clone().lerp(b, 0.5).sub(origin);
+            let s = clamp(coordinates(target.clone().sub(origin), along, across)[1]);
 
-        /**
-         * Undo the last command (goes back in history)
-         */
-        undo() {
-            this.history.back();
-            this.restoreHistory();
+            return start.map(p => {
+                let [x, y] = coordinates(p.clone().sub(origin), along, across);
+                return origin.clone().addScaledVector(along, x).addScaledVector(across, y * s);
+            });
         }
 
         /**
-         * Redo the last command (goes forward in history)
+         * Moves the points of the Free Transform frame so that the bounding box they had when the frame was made
+         * maps to new corners
+         * @private
+         * @param {object} state The frame (see freeTransformState)
+         * @param {THREE.Vector3[]} corners The new corners
+         * @returns {boolean} false if the corners don't form a convex quadrilateral, in which case nothing moves
          */
-        redo() {
-            this.history.forward();
-            this.restoreHistory();
+        applyFreeTransform(state, corners) {
+            let H = core.Util.homography(...corners);
+            if (!H)
+                return false;
+
+            let [a, b, c, d, e, f, , , , g, h] = H;
+            let size = state.box.getSize(new THREE.Vector3());
+
+            this.patch.mapPoints(state.points, p => {
+                let o = state.original.get(p);
+                let s = (o.x - state.box.min.x) / size.x;
+                let t = (o.y - state.box.min.y) / size.y;
+                let w = g * s + h * t + 1;
+                return new THREE.Vector3((a * s + b * t + c) / w, (d * s + e * t + f) / w, o.z);
+            });
+
+            state.corners = corners;
+            state.positions = state.points.map(p => p.clone());
+            return true;
         }
 
         /**
-         * Updates the size of the renderer and the projection matrix
+         * Saves the history once the current burst of nudges is over
          * @private
          */
-        reshape() {
-            this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-            this.uiCanvas.width = this.container.clientWidth;
-            this.uiCanvas.height = this.container.clientHeight;
-
-            this.containerWidth = this.container.clientWidth;
-            this.containerHeight = this.container.clientHeight;
-
-            this.updateProjectionMatrix();
+        scheduleNudgeHistory() {
+            window.clearTimeout(this.nudgeTimer);
+            this.nudgeTimer = window.setTimeout(() => this.saveHistory(), Constants.NudgeHistoryDelay);
         }
 
         /**
-         * Key down event handler
+         * Saves the history entry of the pending nudges, if any
          * @private
-         * @param {KeyEvent} evt The event
          */
-        keydown(evt) {
-            this.keystate[evt.code] = true;
+        flushNudges() {
+            if (this.nudgeTimer !== null)
+                this.saveHistory();
         }
 
         /**
@@ -2211,35 +3534,196 @@
         }
 
         /**
-         * Tests if the mesh is intersected by the given ray
+         * Adds a snapping guide
+         * @param {"horizontal"|"vertical"} orientation The guide orientation
+         * @param {number} position The y (horizontal) or x (vertical) position of the guide in background pixels
+         * @returns {{ orientation: string, position: number }} The new guide
+         */
+        addGuide(orientation, position) {
+            if (orientation !== "horizontal" && orientation !== "vertical")
+                throw new Error("Invalid guide orientation: " + orientation);
+
+            let guide = { orientation: orientation, position: position };
+            this.guides.push(guide);
+            return guide;
+        }
+
+        /**
+         * Removes the given guide
+         * @param {{ orientation: string, position: number }} guide The guide
+         */
+        removeGuide(guide) {
+            let index = this.guides.indexOf(guide);
+            if (index >= 0)
+                this.guides.splice(index, 1);
+        }
+
+        /**
+         * Removes all the guides
+         */
+        clearGuides() {
+            this.guides = [];
+        }
+
+        /**
+         * Snaps a position to the nearest enabled snap target. Control points and outlines take precedence
+         * over guides; integer pixels are used for the axes that did not snap to anything else.
          * @private
-         * @param {THREE.Vector3} ndc Normalized device coordinates
+         * @param {THREE.Vector3} position The position in world coordinates, snapped in place
+         * @param {object} exclude The moving items, which are not snap targets
+         * @param {ControlPoint[]} [exclude.points] The moving control points
+         * @param {Layer} [exclude.layer] The layer moving as a whole
+         * @returns {{ type: "point"|"outline"|"guide"|"pixel", position: THREE.Vector3, guides: object[] }} The snap
+         * target, or null if nothing is in range
          */
-        intersectMesh(ndc) {
-            this.raycaster.setFromCamera(ndc, this.camera);
-            let intersects = this.raycaster.intersectObject(this.meshes.plane, true);
-            if (intersects.length === 1) {
-                let u = intersects[0].uv.x;
-                let v = intersects[0].uv.y;
-                return new THREE.Vector2(u, v);
+        snapPosition(position, exclude) {
+            let o = this.options;
+            let pixelsPerUnit = this.containerHeight / (this.camera.top - this.camera.bottom);
+            let maxDistance = o.snapDistance / pixelsPerUnit;
+
+            let moving = new Set(exclude.points || []);
+            let layers = this.layers.filter(l => l.options.visible && l !== exclude.layer);
+
+            let target = null;
+            let targetDistance = maxDistance;
+
+            // Control points
+            if (o.snapToPoints) {
+                for (let layer of layers) {
+                    for (let c of layer.patch.allControlPoints) {
+                        let d = Math.hypot(c.x - position.x, c.y - position.y);
+                        if (!moving.has(c) && d <= targetDistance) {
+                            target = { type: "point", position: new THREE.Vector3(c.x, c.y, position.z) };
+                            targetDistance = d;
+                        }
+                    }
+                }
+            }
+
+            // Sub-patch outlines
+            if (o.snapToOutlines && !target) {
+                let edges = [[0, 1, 2, 3], [12, 13, 14, 15], [0, 4, 8, 12], [3, 7, 11, 15]];
+                let line = new THREE.Line3();
+                let closest = new THREE.Vector3();
+                let p = new THREE.Vector3(position.x, position.y, 0);
+
+                for (let layer of layers) {
+                    for (let bezierPatch of layer.patch.bezierPatches) {
+                        let cps = bezierPatch.controlPoints;
+                        if (cps.some(c => moving.has(c)))
+                            continue;
+
+                        for (let edge of edges) {
+                            let curve = new core.BezierCurve3(...edge.map(i => cps[i]));
+                            line.end.copy(curve.compute(0)).setZ(0);
+
+                            for (let i = 1; i <= Constants.SnapOutlineSegments; i++) {
+                                line.start.copy(line.end);
+                                line.end.copy(curve.compute(i / Constants.SnapOutlineSegments)).setZ(0);
+                                line.closestPointToPoint(p, true, closest);
+
+                                let d = closest.distanceTo(p);
+                                if (d <= targetDistance) {
+                                    target = { type: "outline", position: new THREE.Vector3(closest.x, closest.y, position.z) };
+                                    targetDistance = d;
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+
+            if (target) {
+                position.copy(target.position);
+                return target;
+            }
+
+            // Guides, each axis independently
+            let snappedX = false, snappedY = false;
+            let guides = [];
+
+            if (o.snapToGuides) {
+                let bestX = null, bestY = null;
+                for (let guide of this.guides) {
+                    let vertical = guide.orientation === "vertical";
+                    let d = Math.abs((vertical ? position.x : position.y) - guide.position);
+                    if (d > maxDistance)
+                        continue;
+                    if (vertical && (!bestX || d < Math.abs(position.x - bestX.position)))
+                        bestX = guide;
+                    if (!vertical && (!bestY || d < Math.abs(position.y - bestY.position)))
+                        bestY = guide;
+                }
+
+                if (bestX) {
+                    position.x = bestX.position;
+                    snappedX = true;
+                    guides.push(bestX);
+                }
+                if (bestY) {
+                    position.y = bestY.position;
+                    snappedY = true;
+                    guides.push(bestY);
+                }
+            }
+
+            // Integer pixels
+            if (o.snapToPixels) {
+                if (!snappedX)
+                    position.x = Math.round(position.x);
+                if (!snappedY)
+                    position.y = Math.round(position.y);
             }
+
+            if (guides.length > 0)
+                return { type: "guide", position: position.clone(), guides: guides };
+
+            if (o.snapToPixels)
+                return { type: "pixel", position: position.clone(), guides: guides };
+
             return null;
+        }
+
+        /**
+         * Finds the surface coordinates at the given world position. Since the texture covers the whole
+         * surface, (u, v) are also the texture coordinates at that position.
+         * @param {number} x X position in world coordinates
+         * @param {number} y Y position in world coordinates
+         * @returns {{ u: number, v: number, row: number, col: number, bezierPatch: object }} The surface
+         * coordinates and the sub-patch at the given position, or null if the position is outside the patch
+         */
+        surfaceAt(x, y) {
+            return this.patch.inverse(x, y, this.activeLayer.options.mode);
+        }
 
+        /**
+         * Computes the position of a pointer relative to the container
+         * @private
+         * @param {PointerEvent} evt The event
+         * @returns {THREE.Vector2} The position in screen coordinates
+         */
+        pointerPosition(evt) {
+            let rect = this.container.getBoundingClientRect();
+            return new THREE.Vector2(evt.clientX - rect.left, evt.clientY - rect.top);
         }
 
         /**
          * Updates the mouse position and other info
          * @private
-         * @param {MouseEvent} evt The event
+         * @param {PointerEvent} evt The event
          */
         updateMousePosition(evt) {
-            let t = evt.target;
-            let [mx, my] = [evt.offsetX, evt.offsetY];
+            let position = this.pointerPosition(evt);
+            this.setMousePosition(position.x, position.y);
+        }
 
-            if (t !== this.renderer.domElement) {
-                mx += t.offsetLeft
-                my += t.offsetTop;
-            }
+        /**
+         * Updates the mouse position and other info given the screen coordinates relative to the container
+         * @private
+         * @param {number} mx X position
+         * @param {number} my Y position
+         */
+        setMousePosition(mx, my) {
 
             // Update global mouse position
             this.mouse.prev.ndc.copy(this.mouse.ndc);
@@ -2253,6 +3737,7 @@
                 0
             )
             this.mouse.world.copy(this.screenToWorld(mx, my));
+            this.mouse.surface = this.surfaceAt(this.mouse.world.x, this.mouse.world.y);
 
         }
 
@@ -2263,67 +3748,132 @@
          */
         click(evt) {
 
+            // Taps ending a pinch gesture are not clicks
+            if (this.suppressClick)
+                return;
+
             this.updateMousePosition(evt);
 
             if (this.selectedTool === Tools.HorizontalCut) {
-                let uv = this.intersectMesh(this.mouse.ndc);
-                if (uv) {
-                    this.patch.subdivideHorizontal(uv.y);
-                    this.saveHistory();
-                }
+                let hit = this.mouse.surface;
+                if (hit && hit.v > 0 && hit.v < 1)
+                    this.cutAt({ v: hit.v });
             }
 
 
             if (this.selectedTool === Tools.VerticalCut) {
-                let uv = this.intersectMesh(this.mouse.ndc);
-                if (uv) {
-                    this.patch.subdivideVertical(uv.x);
-                    this.saveHistory();
+                let hit = this.mouse.surface;
+                if (hit && hit.u > 0 && hit.u < 1)
+                    this.cutAt({ u: hit.u });
+            }
+
+            if (this.selectedTool === Tools.Merge) {
+                let cut = this.cutNear(this.mouse.position);
+                if (cut)
+                    this.removeCut(cut);
+            }
+
+            if (this.selectedTool === Tools.Corners) {
+                let position = new THREE.Vector3(this.mouse.world.x, this.mouse.world.y, 0);
+                if (!evt.ctrlKey)
+                    this.snapPosition(position, { layer: this.activeLayer });
+
+                this.cornerPoints.push(position);
+
+                if (this.cornerPoints.length === 4) {
+                    let [bottomLeft, bottomRight, topRight, topLeft] = this.sortCorners(this.cornerPoints);
+                    this.cornerPoints = [];
+                    this.placeCorners(topLeft, topRight, bottomLeft, bottomRight);
                 }
             }
         }
 
         /**
-         * Mouse leave event handler
+         * Wheel event handler, zooms around the mouse position
          * @private
-         * @param {MouseEvent} evt The event
+         * @param {WheelEvent} evt The event
          */
-        mouseleave(evt) {
-            this.mouse.leftButtonDown = false;
-            this.mouse.rightButtonDown = false;
+        wheel(evt) {
+            this.updateMousePosition(evt);
+            this.zoom *= (1 - Math.sign(evt.deltaY) * Constants.WheelZoomStep);
+            evt.preventDefault();
         }
 
         /**
-         * Mouse down event handler
+         * Pointer cancel event handler
          * @private
-         * @param {MouseEvent} evt The event
+         * @param {PointerEvent} evt The event
          */
-        mousedown(evt) {
+        pointercancel(evt) {
+            this.pointers.delete(evt.pointerId);
+
+            if (this.pinch) {
+                if (this.pointers.size < 2)
+                    this.pinch = null;
+            } else if (evt.pointerId === this.activePointerId) {
+                this.abortDrag();
+            }
+        }
+
+        /**
+         * Pointer down event handler
+         * @private
+         * @param {PointerEvent} evt The event
+         */
+        pointerdown(evt) {
+
+            this.pointers.set(evt.pointerId, this.pointerPosition(evt));
+            this.container.setPointerCapture(evt.pointerId);
+            evt.preventDefault();
+
+            // A second finger turns the current touch into a pinch gesture
+            if (this.pointers.size === 2 && evt.pointerType === "touch") {
+                this.startPinch();
+                return;
+            }
+
+            // Any other additional pointer is ignored while dragging
+            if (this.pointers.size > 1)
+                return;
+
+            this.activePointerId = evt.pointerId;
+            this.suppressClick = false;
 
             this.mouse.leftButtonDown = evt.button === 0;
             this.mouse.rightButtonDown = evt.button === 2;
             this.updateMousePosition(evt);
 
+            // Locked control points behave as the empty background, and so do all of them while clicking a polygon
+            let controlPoint = evt.bmControlPoint && this.isSelectable(evt.bmControlPoint) ? evt.bmControlPoint : null;
+            if (this.selectionPolygon.length > 0 && this.options.selectionMode === "polygon")
+                controlPoint = null;
+
             if (this.selectedTool === Tools.Arrow) {
-                if (evt.bmControlPoint) {
-                    let cp = evt.bmControlPoint;
+                if (controlPoint) {
+                    let cp = controlPoint;
 
                     if (!this.selectedControlPoints.includes(cp)) {
-                        if (this.keystate["ShiftLeft"]) {
-                            this.selectedControlPoints.push(cp);
+                        if (evt.shiftKey) {
+                            this.setSelectedControlPoints([...this.selectedControlPoints, cp]);
                         } else {
-                            this.selectedControlPoints = [cp];
+                            this.setSelectedControlPoints([cp]);
                         }
                     }
 
 
-                } else {
-                    if (!this.keystate["ShiftLeft"])
-                        this.selectedControlPoints = [];
+                } else if (this.options.selectionMode === "lasso") {
+                    this.selectionPolygon = [this.mouse.world.clone()];
                 }
+
+                // The polygon selection is applied when the polygon is closed
+                if (!controlPoint && this.options.selectionMode !== "polygon" && this.selectionOperation(evt) === "replace")
+                    this.setSelectedControlPoints([]);
             }
 
 
+            // Free Transform handle (or frame inside) under the pointer
+            let freeTransform = this.selectedTool === Tools.FreeTransform && this.mouse.leftButtonDown ? this.freeTransformState() : null;
+
             this.dragInfo = {
                 position: new THREE.Vector3().copy(this.mouse.position),
                 world: new THREE.Vector3().copy(this.screenToWorld(
@@ -2331,25 +3881,59 @@
                     this.mouse.position.y
                 )),
                 patchData: this.patch.save(),
-                controlPoint: !!evt.bmControlPoint,
+                controlPoint: !!controlPoint,
                 translateHandle: !!evt.bmTranslateHandle,
-                rotateHandle: !!evt.bmRotateHandle
+                rotateHandle: !!evt.bmRotateHandle,
+                scaleHandle: evt.bmScaleHandle || null,
+                pivotHandle: !!evt.bmPivotHandle,
+                // The grabbed point (or transform handle) and its start position, used for snapping
+                anchor: controlPoint,
+                anchorStart: new THREE.Vector3().copy(
+                    controlPoint ||
+                    (evt.bmScaleHandle && this.transformTool.handlePosition(evt.bmScaleHandle)) ||
+                    (evt.bmPivotHandle && this.transformTool.pivotPosition) ||
+                    this.transformTool
+                ),
+                pivot: new THREE.Vector3().copy(this.transformTool.pivotPosition),
+                translation: new THREE.Vector3(),
+                rotation: 0,
+                appliedRotation: 0,
+                // Scaling or skewing applied so far
+                matrix: new THREE.Matrix4(),
+                freeTransformHandle: freeTransform ? this.freeTransformHandleAt(freeTransform, this.mouse.position) : null,
+                freeTransformCorners: freeTransform ? freeTransform.corners.map(c => c.clone()) : null
             }
 
+            // Holding a touch or pen still acts as the right button (mirror modifier)
+            if (evt.pointerType !== "mouse")
+                this.startLongPress();
 
-            evt.preventDefault();
         }
 
         /**
-         * Mouse move event handler
+         * Pointer move event handler
          * @private
-         * @param {MouseEvent} evt The event
+         * @param {PointerEvent} evt The event
          */
-        mousemove(evt) {
+        pointermove(evt) {
+
+            if (this.pointers.has(evt.pointerId))
+                this.pointers.set(evt.pointerId, this.pointerPosition(evt));
+
+            if (this.pinch) {
+                this.updatePinch();
+                return;
+            }
+
+            if (this.activePointerId !== null && evt.pointerId !== this.activePointerId)
+                return;
 
             this.updateMousePosition(evt);
 
-            console.log(this.mouse.world);
+            if (this.longPressTimer !== null && this.dragInfo &&
+                this.dragInfo.position.distanceTo(this.mouse.position) > Constants.LongPressTolerance) {
+                this.cancelLongPress();
+            }
 
             this.selectionRect = null;
 
@@ -2357,10 +3941,18 @@
             if (this.selectedTool === Tools.Arrow) {
                 if (this.dragInfo && (this.mouse.leftButtonDown || this.mouse.rightButtonDown)) {
                     if (this.dragInfo.controlPoint) {
-                        let offset = buffers.vec3[0].copy(this.mouse.world).sub(this.mouse.prev.world);
-                        let mirror = this.mouse.rightButtonDown && this.selectedControlPoints.length == 1;
-                        this.selectedControlPoints.forEach(c => c.moveBy(offset, mirror));
-                    } else {
+                        let target = this.dragInfo.anchorStart.clone().add(this.mouse.world).sub(this.dragInfo.world);
+                        this.snapTarget = evt.ctrlKey ? null : this.snapPosition(target, { points: this.patch.movingPoints(this.selectedControlPoints) });
+
+                        let offset = target.sub(this.dragInfo.anchor);
+                        let mirror = (this.mouse.rightButtonDown || this.mouse.longPress) && this.selectedControlPoints.length == 1;
+                        this.patch.movePoints(this.selectedControlPoints, offset, mirror);
+                        this.emit("change", { reason: "move" });
+                    } else if (this.options.selectionMode === "lasso") {
+                        let last = this.selectionPolygon[this.selectionPolygon.length - 1];
+                        if (last && this.worldToScreen(last).distanceTo(this.mouse.position) >= Constants.LassoStep)
+                            this.selectionPolygon.push(this.mouse.world.clone());
+                    } else if (this.options.selectionMode !== "polygon") {
                         let p0 = this.dragInfo.position;
                         let p1 = this.mouse.position;
                         this.selectionRect = {
@@ -2371,19 +3963,63 @@
                 }
             }
 
+            // Free Transform
+            if (this.selectedTool === Tools.FreeTransform && this.dragInfo && this.dragInfo.freeTransformHandle && this.mouse.leftButtonDown) {
+                let corners = this.freeTransformCorners(this.dragInfo, evt);
+                if (this.applyFreeTransform(this.freeTransform, corners))
+                    this.emit("change", { reason: "transform" });
+            }
+
             // Transform
             if (this.selectedTool === Tools.Transform && this.dragInfo && this.mouse.leftButtonDown) {
                 if (this.dragInfo.translateHandle) {
-                    let offset = this.mouse.world.clone().sub(this.mouse.prev.world);
-                    this.patch.translate(offset);
+                    let target = this.dragInfo.anchorStart.clone().add(this.mouse.world).sub(this.dragInfo.world);
+                    this.snapTarget = evt.ctrlKey ? null : this.snapPosition(target, { layer: this.activeLayer });
+
+                    let offset = target.sub(this.dragInfo.anchorStart).sub(this.dragInfo.translation);
+                    this.translatePatch(offset);
+                    this.dragInfo.translation.add(offset);
+                    this.emit("change", { reason: "transform" });
                 } else if (this.dragInfo.rotateHandle) {
-                    let angle = this.transformTool.newDirection(this.mouse.position);
-                    this.patch.rotateZ(this.transformTool, -angle);
+                    // Accumulate the screen angle (clockwise) since the beginning of the drag
+                    let angle = this.transformTool.newDirection(this.mouse.position, this.dragInfo.pivot);
+                    this.dragInfo.rotation += Math.atan2(Math.sin(angle), Math.cos(angle));
+
+                    let rotation = this.dragInfo.rotation;
+                    let step = this.options.snapAngle * Math.PI / 180;
+                    this.snapTarget = null;
+                    if (step > 0 && !evt.ctrlKey) {
+                        rotation = Math.round(rotation / step) * step;
+                        this.snapTarget = { type: "angle", position: this.dragInfo.pivot.clone(), angle: -rotation };
+                    }
+
+                    this.patch.rotateZ(this.dragInfo.pivot, -(rotation - this.dragInfo.appliedRotation));
+                    this.dragInfo.appliedRotation = rotation;
+                    this.emit("change", { reason: "transform" });
+                } else if (this.dragInfo.scaleHandle) {
+                    let target = this.dragInfo.anchorStart.clone().add(this.mouse.world).sub(this.dragInfo.world);
+                    let matrix = this.scaleHandleMatrix(this.dragInfo.scaleHandle, this.dragInfo.anchorStart, target,
+                        this.dragInfo.pivot, evt.shiftKey, evt.altKey);
+
+                    // Apply the change since the previous move
+                    this.patch.applyMatrix(matrix.clone().multiply(new THREE.Matrix4().getInverse(this.dragInfo.matrix)));
+                    this.dragInfo.matrix = matrix;
+                    this.emit("change", { reason: "transform" });
+                } else if (this.dragInfo.pivotHandle) {
+                    let target = this.dragInfo.anchorStart.clone().add(this.mouse.world).sub(this.dragInfo.world);
+                    this.snapTarget = evt.ctrlKey ? null : this.snapPosition(target, {});
+                    this.transformTool.pivot = target;
                 }
             }
 
+            // Corners: show where the next corner would snap to
+            if (this.selectedTool === Tools.Corners && !this.dragInfo) {
+                let position = new THREE.Vector3(this.mouse.world.x, this.mouse.world.y, 0);
+                this.snapTarget = evt.ctrlKey ? null : this.snapPosition(position, { layer: this.activeLayer });
+            }
+
             // Pan
-            if (this.selectedTool === Tools.Pan && this.mouse.leftButtonDown) {
+            if (this.selectedTool === Tools.Pan && this.dragInfo && this.mouse.leftButtonDown) {
                 let offset = buffers.vec3[0].copy(this.dragInfo.world).sub(this.mouse.world);
                 this.cameraOrigin.add(offset);
                 this.updateProjectionMatrix();
@@ -2392,50 +4028,152 @@
         }
 
         /**
-         * Mouse up event handler
+         * Pointer up event handler
          * @private
-         * @param {MouseEvent} evt The event
+         * @param {PointerEvent} evt The event
          */
-        mouseup(evt) {
+        pointerup(evt) {
+
+            this.pointers.delete(evt.pointerId);
+
+            if (this.pinch) {
+                if (this.pointers.size < 2)
+                    this.pinch = null;
+                return;
+            }
 
+            if (evt.pointerId !== this.activePointerId)
+                return;
+
+            this.activePointerId = null;
+            this.cancelLongPress();
             this.mouse.leftButtonDown = false;
             this.mouse.rightButtonDown = false;
+            this.mouse.longPress = false;
             this.updateMousePosition(evt);
 
             if (this.selectedTool === Tools.Arrow) {
 
                 if (this.selectionRect) {
-                    // Find all the control selected control points
-                    let cps = [];
-
-                    for (let patch of this.patch.bezierPatches) {
-                        cps.push(...patch.controlPoints.filter(c => {
-
-                            let pos = this.worldToScreen(c);
-                            return !cps.includes(c) && pos.x >= this.selectionRect.min.x && pos.x <= this.selectionRect.max.x &&
-                                pos.y >= this.selectionRect.min.y && pos.y <= this.selectionRect.max.y;
-                        }));
-                    }
-
-                    if (this.keystate["ShiftLeft"]) {
-                        this.selectedControlPoints.push(...cps.filter(c => !this.selectedControlPoints.includes(c)));
+                    let rect = this.selectionRect;
+                    this.selectArea(pos => pos.x >= rect.min.x && pos.x <= rect.max.x && pos.y >= rect.min.y && pos.y <= rect.max.y,
+                        this.selectionOperation(evt));
+                } else if (this.options.selectionMode === "lasso" && this.selectionPolygon.length > 0) {
+                    this.selectPolygon(this.selectionOperation(evt));
+                    this.selectionPolygon = [];
+                } else if (this.options.selectionMode === "polygon" && !this.dragInfo.controlPoint && evt.button === 0) {
+                    // Left clicks add vertices, clicking the first vertex closes the polygon
+                    let first = this.selectionPolygon[0];
+                    if (this.selectionPolygon.length >= 3 &&
+                        this.worldToScreen(first).distanceTo(this.mouse.position) <= Constants.ControlPointSize) {
+                        this.selectPolygon(this.selectionOperation(evt));
+                        this.selectionPolygon = [];
                     } else {
-                        this.selectedControlPoints = cps;
+                        this.selectionPolygon.push(this.mouse.world.clone());
                     }
-
                 } else if (this.selectedControlPoints.length > 0) {
                     if (this.dragInfo.position.distanceTo(this.mouse.position) > 0) {
                         this.saveHistory();
                     }
                 }
             } else if (this.selectedTool === Tools.Transform) {
-                if (this.dragInfo.position.distanceTo(this.mouse.position) > 0) {
+                if (this.dragInfo.position.distanceTo(this.mouse.position) > 0 && !this.dragInfo.pivotHandle) {
                     this.saveHistory();
                 }
+            } else if (this.selectedTool === Tools.FreeTransform) {
+                if (this.dragInfo.position.distanceTo(this.mouse.position) > 0 && this.dragInfo.freeTransformHandle) {
+                    this.saveHistory();
+                }
+            }
+
+            this.selectionRect = null;
+            this.snapTarget = null;
+            this.dragInfo = null;
+
+        }
+
+        /**
+         * Ends the current single pointer drag without applying a selection, keeping
+         * (and recording in the history) the edits done so far
+         * @private
+         */
+        abortDrag() {
+            this.cancelLongPress();
+
+            if (this.dragInfo && this.dragInfo.position.distanceTo(this.mouse.position) > 0 &&
+                (this.dragInfo.controlPoint || this.dragInfo.translateHandle || this.dragInfo.rotateHandle || this.dragInfo.scaleHandle ||
+                    this.dragInfo.freeTransformHandle)) {
+                this.saveHistory();
             }
 
             this.dragInfo = null;
+            this.selectionRect = null;
+            this.snapTarget = null;
+            this.activePointerId = null;
+            this.mouse.leftButtonDown = false;
+            this.mouse.rightButtonDown = false;
+            this.mouse.longPress = false;
+        }
+
+        /**
+         * Starts a pinch gesture with the two active touches
+         * @private
+         */
+        startPinch() {
+            this.abortDrag();
+            this.suppressClick = true;
+
+            let [a, b] = this.pointers.values();
+            this.pinch = {
+                center: a.clone().add(b).multiplyScalar(0.5),
+                distance: a.distanceTo(b),
+                zoom: this.zoom
+            };
+        }
 
+        /**
+         * Pans with the movement of the gesture centre and zooms around it
+         * @private
+         */
+        updatePinch() {
+            let [a, b] = this.pointers.values();
+            let center = a.clone().add(b).multiplyScalar(0.5);
+            let distance = a.distanceTo(b);
+
+            // Two-finger pan
+            let offset = this.screenToWorld(this.pinch.center.x, this.pinch.center.y)
+                .sub(this.screenToWorld(center.x, center.y));
+            this.cameraOrigin.add(offset);
+            this.updateProjectionMatrix();
+            this.pinch.center.copy(center);
+
+            // Pinch zoom
+            this.setMousePosition(center.x, center.y);
+            if (this.pinch.distance > 0)
+                this.zoom = this.pinch.zoom * distance / this.pinch.distance;
+        }
+
+        /**
+         * Starts the timer enabling the long-press modifier
+         * @private
+         */
+        startLongPress() {
+            this.cancelLongPress();
+            this.longPressTimer = window.setTimeout(() => {
+                this.longPressTimer = null;
+                this.mouse.longPress = true;
+            }, Constants.LongPressDelay);
+        }
+
+        /**
+         * Cancels the pending long-press timer
+         * @private
+         */
+        cancelLongPress() {
+            if (this.longPressTimer !== null) {
+                window.clearTimeout(this.longPressTimer);
+                this.longPressTimer = null;
+            }
         }
 
 
@@ -2470,8 +4208,10 @@
     }
 
     exportObj[exportName] = {
-        BezierMeshProjection: BezierMeshProjection
+        BezierMeshProjection: BezierMeshProjection,
+        SaveFormat: SaveFormat,
+        FormatError: core.FormatError
     }
 
-})(window, "bm");
+})(window, "bm", window.bmCore);
 
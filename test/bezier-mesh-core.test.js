@@ -0,0 +1,424 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const THREE = require("../vendor/three.js");
+const { Patch, Util, Continuity, FormatError, Rasterizer } = require("../src/bezier-mesh-core.js");
+
+const modes = ["bezier", "linear", "perspective"];
+
+/**
+ * Creates a 200 x 100 patch with bent edges and a moved interior, so that the tests don't run on a flat quad
+ */
+function createWarpedPatch() {
+    let patch = new Patch();
+    patch.initFromCorners(
+        new THREE.Vector3(10, 110, 0),
+        new THREE.Vector3(220, 120, 0),
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(200, 10, 0)
+    );
+
+    let cp = patch.bezierPatches.get(0, 0).controlPoints;
+    cp[1].y -= 15;
+    cp[2].y += 10;
+    cp[5].x += 12;
+    cp[10].y -= 8;
+    cp[13].y += 20;
+    return patch;
+}
+
+/**
+ * Samples the surface of a patch on a regular grid of surface coordinates
+ */
+function sample(patch, mode, n = 8) {
+    let points = [];
+    for (let i = 0; i <= n; i++)
+        for (let j = 0; j <= n; j++)
+            points.push(new THREE.Vector3().copy(patch.compute(j / n, i / n, mode)));
+    return points;
+}
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test("save and restore round-trip", () => {
+    let patch = createWarpedPatch();
+    patch.subdivideVertical(0.4);
+    patch.subdivideHorizontal(0.7);
+
+    let knot = patch.knots()[0];
+    patch.setContinuity(Continuity.Smooth, [knot]);
+    patch.bezierPatches.get(0, 0).controlPoints[5].locked = true;
+    patch.bezierPatches.get(1, 1).controlPoints[10].hidden = true;
+
+    let saved = patch.save();
+    let restored = new Patch().restore(JSON.parse(JSON.stringify(saved)));
+
+    assert.deepStrictEqual(restored.save(), saved);
+    assert.strictEqual(restored.allControlPoints.length, patch.allControlPoints.length);
+    assert.deepStrictEqual(restored.cuts(), patch.cuts());
+
+    for (let mode of modes) {
+        let a = sample(patch, mode);
+        let b = sample(restored, mode);
+        a.forEach((p, i) => assertClose(p.distanceTo(b[i]), 0, 1e-9, mode));
+    }
+});
+
+test("restore rejects malformed data", () => {
+    let saved = createWarpedPatch().save();
+
+    let broken = JSON.parse(JSON.stringify(saved));
+    broken.controlPoints[3].x = "3";
+    broken.patches[0].controlPoints[0] = saved.controlPoints.length;
+
+    assert.throws(() => new Patch().restore(broken), FormatError);
+    assert.ok(Patch.validate(broken).length >= 2);
+    assert.deepStrictEqual(Patch.validate(saved), []);
+});
+
+test("inverse finds the coordinates computed by compute", () => {
+    let patch = createWarpedPatch();
+    patch.subdivideVertical(0.5);
+    patch.subdivideHorizontal(0.3);
+
+    for (let mode of modes) {
+        for (let [u, v] of [[0.1, 0.1], [0.25, 0.8], [0.5, 0.5], [0.73, 0.2], [0.9, 0.95]]) {
+            let point = new THREE.Vector3().copy(patch.compute(u, v, mode));
+            let result = patch.inverse(point.x, point.y, mode);
+
+            assert.ok(result, `${mode} (${u}, ${v}) not found`);
+            assertClose(result.u, u, 1e-6, `${mode} u`);
+            assertClose(result.v, v, 1e-6, `${mode} v`);
+        }
+    }
+
+    assert.strictEqual(patch.inverse(-500, -500), null);
+});
+
+test("perspective mode maps the corners with a homography", () => {
+    let corners = [
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(180, 10, 0),
+        new THREE.Vector3(150, 120, 0),
+        new THREE.Vector3(20, 90, 0)
+    ];
+
+    let patch = new Patch();
+    patch.initFromCorners(corners[3], corners[2], corners[0], corners[1]);
+    patch.update("perspective");
+
+    [[0, 0], [1, 0], [1, 1], [0, 1]].forEach(([u, v], i) =>
+        assertClose(patch.compute(u, v, "perspective").distanceTo(corners[i]), 0, 1e-9, `corner ${i}`));
+
+    // A projective map keeps straight lines: the center of the square goes where the diagonals cross
+    let [p0, p1, p2, p3] = corners;
+    let d1 = new THREE.Vector3().subVectors(p2, p0);
+    let d2 = new THREE.Vector3().subVectors(p3, p1);
+    let t = ((p1.x - p0.x) * d2.y - (p1.y - p0.y) * d2.x) / (d1.x * d2.y - d1.y * d2.x);
+    let crossing = p0.clone().addScaledVector(d1, t);
+    assertClose(patch.compute(0.5, 0.5, "perspective").distanceTo(crossing), 0, 1e-9, "center");
+
+    // A concave quadrilateral has no valid homography
+    patch.bezierPatches.get(0, 0).controlPoints[15].set(40, 30, 0);
+    assert.strictEqual(patch.bezierPatches.get(0, 0).homography(), null);
+});
+
+test("initFromCylinder places the edges on the projected sections", () => {
+    let [radius, tilt] = [50, 20];
+    let patch = new Patch();
+    patch.initFromCylinder({ bottom: new THREE.Vector2(100, 0), top: new THREE.Vector2(100, 200), radius: radius, tilt: tilt });
+
+    // 120 degrees in columns of at most 30 degrees, which share their boundary points
+    assert.strictEqual(patch.bezierPatches.colCount, 4);
+    assert.strictEqual(patch.allControlPoints.length, 4 * 13);
+
+    // The sections are ellipses of half axes radius and radius * sin(tilt), and u is proportional to the angle
+    let squash = radius * Math.sin(tilt * Math.PI / 180);
+    for (let k = 0; k <= 8; k++) {
+        let angle = (-60 + 15 * k) * Math.PI / 180;
+        for (let [v, y] of [[0, 0], [1, 200]]) {
+            let point = patch.compute(k / 8, v, "bezier");
+            assertClose(point.x, 100 + radius * Math.sin(angle), 0.05, `x at ${k / 8}, ${v}`);
+            assertClose(point.y, y - squash * Math.cos(angle), 0.05, `y at ${k / 8}, ${v}`);
+        }
+    }
+
+    let axis = { bottom: new THREE.Vector2(0, 0), top: new THREE.Vector2(0, 100) };
+    assert.throws(() => patch.initFromCylinder(Object.assign({ radius: 0 }, axis)), /radius/);
+    assert.throws(() => patch.initFromCylinder(Object.assign({ radius: 10, startAngle: 30, endAngle: 30 }, axis)), /angle/);
+});
+
+test("merging a cut back gives the same surface", () => {
+    for (let mode of modes) {
+        // As in the projection, the inner control points follow the corners in linear and perspective modes
+        let patch = createWarpedPatch();
+        patch.update(mode);
+        let before = sample(patch, mode);
+
+        patch.subdivideVertical(0.35, mode);
+        patch.subdivideHorizontal(0.6, mode);
+        patch.update(mode);
+        assert.deepStrictEqual(patch.cuts(), { u: [0.35], v: [0.6] });
+
+        let subdivided = sample(patch, mode);
+        before.forEach((p, i) => assertClose(p.distanceTo(subdivided[i]), 0, 1e-9, `${mode} subdivided`));
+
+        patch.mergeColumns(0, mode);
+        patch.mergeRows(0, mode);
+        patch.update(mode);
+        assert.deepStrictEqual(patch.cuts(), { u: [], v: [] });
+
+        let merged = sample(patch, mode);
+        before.forEach((p, i) => assertClose(p.distanceTo(merged[i]), 0, 1e-9, `${mode} merged`));
+    }
+});
+
+test("merging refuses to move locked points", () => {
+    let patch = createWarpedPatch();
+    patch.subdivideVertical(0.5);
+    patch.subdivideHorizontal(0.5);
+
+    // The left edge stays in place when merging columns, but it is refitted when merging rows
+    patch.bezierPatches.get(0, 0).controlPoints[4].locked = true;
+    assert.ok(patch.canMergeColumns(0));
+    assert.ok(!patch.canMergeRows(0));
+
+    // The knot on the vertical cut is removed when merging columns
+    let knot = patch.bezierPatches.get(0, 1).controlPoints[0];
+    knot.locked = true;
+    assert.ok(!patch.canMergeColumns(0));
+
+    let saved = patch.save();
+    assert.throws(() => patch.mergeColumns(0), /locked/);
+    assert.throws(() => patch.mergeRows(0), /locked/);
+    assert.deepStrictEqual(patch.save(), saved);
+
+    knot.locked = false;
+    patch.mergeColumns(0);
+    assert.deepStrictEqual(patch.cuts(), { u: [], v: [0.5] });
+    assert.ok(!patch.canMergeRows(0));
+});
+
+test("setContinuity aligns the handles of the knots", () => {
+    let patch = createWarpedPatch();
+    patch.subdivideVertical(0.5);
+
+    let knot = patch.knots()[0];
+    let [a, b] = patch.handlePairs(knot)[0];
+    a.y += 12;
+    let [la, lb] = [a.distanceTo(knot), b.distanceTo(knot)];
+
+    assert.deepStrictEqual(patch.setContinuity(Continuity.Smooth, [knot]), [knot]);
+    assert.strictEqual(knot.continuity, Continuity.Smooth);
+    assertClose(a.distanceTo(knot), la, 1e-9, "smooth length");
+    assertClose(b.distanceTo(knot), lb, 1e-9, "smooth length");
+    assertClose(a.clone().sub(knot).normalize().dot(b.clone().sub(knot).normalize()), -1, 1e-9, "smooth direction");
+
+    patch.setContinuity(Continuity.Symmetric, [knot]);
+    assertClose(a.clone().add(b).multiplyScalar(0.5).distanceTo(knot), 0, 1e-9, "symmetric");
+
+    // Points that are not knots are ignored
+    assert.deepStrictEqual(patch.setContinuity(Continuity.Corner, [a, patch.allControlPoints[0]]), []);
+    assert.throws(() => patch.setContinuity("cusp", [knot]));
+});
+
+test("movePoints keeps the continuity of the knots", () => {
+    let patch = createWarpedPatch();
+    patch.subdivideVertical(0.5);
+
+    let knot = patch.knots()[0];
+    let [a, b] = patch.handlePairs(knot)[0];
+    let offset = new THREE.Vector3(5, -3, 0);
+    patch.setContinuity(Continuity.Smooth, [knot]);
+
+    // A smooth knot carries its handles along
+    let [a0, b0] = [a.toVector3(), b.toVector3()];
+    patch.movePoints([knot], offset);
+    assertClose(a.distanceTo(a0.add(offset)), 0, 1e-9, "handle");
+    assertClose(b.distanceTo(b0.add(offset)), 0, 1e-9, "handle");
+
+    // The opposite handle turns with the moved one and keeps its length
+    let length = b.distanceTo(knot);
+    patch.movePoints([a], new THREE.Vector3(0, 10, 0));
+    assertClose(b.distanceTo(knot), length, 1e-9, "opposite length");
+    assertClose(a.clone().sub(knot).normalize().dot(b.clone().sub(knot).normalize()), -1, 1e-9, "opposite direction");
+
+    // The handles of a corner knot are independent, unless mirroring is forced
+    patch.setContinuity(Continuity.Corner, [knot]);
+    b0 = b.toVector3();
+    patch.movePoints([a], offset);
+    assertClose(b.distanceTo(b0), 0, 1e-9, "corner");
+
+    patch.movePoints([a], offset, true);
+    assertClose(a.clone().add(b).multiplyScalar(0.5).distanceTo(knot), 0, 1e-9, "mirror");
+});
+
+test("constrainMirror follows the continuity of the reference knot", () => {
+    let patch = createWarpedPatch();
+    patch.subdivideVertical(0.5);
+
+    let knot = patch.knots()[0];
+    let [a, b] = patch.handlePairs(knot)[0];
+    let b0 = b.toVector3();
+
+    a.y += 10;
+    a.constrainMirror();
+    assertClose(b.distanceTo(b0), 0, 1e-9, "corner");
+
+    knot.continuity = Continuity.Symmetric;
+    a.constrainMirror();
+    assertClose(a.clone().add(b).multiplyScalar(0.5).distanceTo(knot), 0, 1e-9, "symmetric");
+
+    knot.continuity = Continuity.Smooth;
+    let length = b.distanceTo(knot);
+    a.x -= 7;
+    a.constrainMirror();
+    assertClose(b.distanceTo(knot), length, 1e-9, "smooth length");
+    assertClose(a.clone().sub(knot).normalize().dot(b.clone().sub(knot).normalize()), -1, 1e-9, "smooth direction");
+});
+
+test("locked points don't move", () => {
+    let patch = createWarpedPatch();
+    patch.subdivideVertical(0.5);
+
+    let knot = patch.knots()[0];
+    let [a, b] = patch.handlePairs(knot)[0];
+    let offset = new THREE.Vector3(5, -3, 0);
+    patch.setContinuity(Continuity.Symmetric, [knot]);
+
+    b.locked = true;
+    let position = b.toVector3();
+    let free = patch.allControlPoints.find(p => !p.locked && p !== knot && p !== a);
+    let freePosition = free.toVector3();
+
+    patch.movePoints([knot], offset);
+    patch.movePoints([a], offset);
+    patch.movePoints([b], offset);
+    a.constrainMirror(true);
+    patch.translate(offset);
+    patch.rotateZ(new THREE.Vector3(50, 50, 0), 0.3);
+    patch.scale(new THREE.Vector3(50, 50, 0), 1.5, 0.5);
+    patch.skew(new THREE.Vector3(50, 50, 0), 0.2, 0.1);
+    patch.mapPoints(patch.allControlPoints, p => p.clone().multiplyScalar(2));
+
+    assert.ok(b.equals(position));
+    assert.ok(!free.equals(freePosition));
+
+    // Knots with a locked handle keep their continuity
+    assert.deepStrictEqual(patch.setContinuity(Continuity.Corner, [knot]), []);
+    assert.strictEqual(knot.continuity, Continuity.Symmetric);
+});
+
+test("Util.homography maps the unit square to the quadrilateral", () => {
+    let quad = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(4, 1, 0), new THREE.Vector3(3, 3, 0), new THREE.Vector3(1, 2, 0)];
+    let [a, b, c, d, e, f, , , , g, h] = Util.homography(...quad);
+    let map = (s, t) => {
+        let w = g * s + h * t + 1;
+        return new THREE.Vector3((a * s + b * t + c) / w, (d * s + e * t + f) / w, 0);
+    };
+
+    [[0, 0], [1, 0], [1, 1], [0, 1]].forEach(([s, t], i) =>
+        assertClose(map(s, t).distanceTo(quad[i]), 0, 1e-12, `corner ${i}`));
+
+    quad[2].set(1, 1, 0);
+    assert.strictEqual(Util.homography(...quad), null);
+});
+
+test("pointInPolygon uses the even-odd rule", () => {
+    let v = (x, y) => new THREE.Vector2(x, y);
+
+    // An L shape
+    let polygon = [v(0, 0), v(4, 0), v(4, 1), v(1, 1), v(1, 4), v(0, 4)];
+    assert.ok(Util.pointInPolygon(v(0.5, 3), polygon));
+    assert.ok(Util.pointInPolygon(v(3, 0.5), polygon));
+    assert.ok(!Util.pointInPolygon(v(3, 3), polygon));
+    assert.ok(!Util.pointInPolygon(v(-1, 0.5), polygon));
+
+    // The middle of a pentagram is outside
+    let star = [0, 2, 4, 1, 3].map(k => v(Math.sin(k * 2 * Math.PI / 5), Math.cos(k * 2 * Math.PI / 5)));
+    assert.ok(!Util.pointInPolygon(v(0, 0), star));
+    assert.ok(Util.pointInPolygon(v(0, 0.7), star));
+});
+
+test("adaptive tessellation stays within the tolerance", () => {
+    let patch = createWarpedPatch();
+    let tolerance = 0.5;
+
+    let geometry = patch.tessellateAdaptive("bezier", tolerance);
+    let lattice = patch.adaptiveLattice("bezier", tolerance);
+    let [gw, gh] = [lattice.u.length, lattice.v.length];
+
+    assert.strictEqual(geometry.positions.length, gw * gh * 3);
+    assert.strictEqual(geometry.indices.length, (gw - 1) * (gh - 1) * 6);
+
+    // The vertices lie on the surface
+    for (let k = 0; k < gw * gh; k++) {
+        let point = patch.compute(geometry.uvs[k * 2], geometry.uvs[k * 2 + 1], "bezier");
+        assertClose(point.distanceTo(new THREE.Vector3().fromArray(geometry.positions, k * 3)), 0, 1e-3, "vertex");
+    }
+
+    // The middle of each cell is close to the middle of the diagonal shared by its 2 triangles
+    for (let y = 0; y < gh - 1; y++) {
+        for (let x = 0; x < gw - 1; x++) {
+            let b = new THREE.Vector3().copy(patch.compute(lattice.u[x + 1], lattice.v[y], "bezier"));
+            let c = new THREE.Vector3().copy(patch.compute(lattice.u[x], lattice.v[y + 1], "bezier"));
+            let middle = patch.compute((lattice.u[x] + lattice.u[x + 1]) / 2, (lattice.v[y] + lattice.v[y + 1]) / 2, "bezier");
+            assert.ok(middle.distanceTo(b.add(c).multiplyScalar(0.5)) <= tolerance, `cell ${x}, ${y}`);
+        }
+    }
+
+    // A flat patch in linear mode needs no subdivision at all
+    let flat = new Patch();
+    flat.initFromCorners(new THREE.Vector3(0, 100, 0), new THREE.Vector3(100, 100, 0), new THREE.Vector3(0, 0, 0), new THREE.Vector3(100, 0, 0));
+    assert.deepStrictEqual(flat.adaptiveLattice("linear", tolerance), { u: [0, 1], v: [0, 1] });
+});
+
+test("encodePNG writes a PNG header with the image size", () => {
+    let [width, height] = [3, 2];
+    let png = Util.encodePNG(width, height, new Uint8Array(width * height * 4).fill(255));
+    let view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+
+    assert.deepStrictEqual(Array.from(png.slice(0, 8)), [137, 80, 78, 71, 13, 10, 26, 10]);
+    assert.strictEqual(String.fromCharCode(...png.slice(12, 16)), "IHDR");
+    assert.strictEqual(view.getUint32(16), width);
+    assert.strictEqual(view.getUint32(20), height);
+    assert.strictEqual(String.fromCharCode(...png.slice(-8, -4)), "IEND");
+});
+
+test("drawMesh covers the mesh and draws the shared edges once", () => {
+    let patch = new Patch();
+    patch.initFromCorners(new THREE.Vector3(0, 8, 0), new THREE.Vector3(8, 8, 0), new THREE.Vector3(0, 0, 0), new THREE.Vector3(8, 0, 0));
+
+    // Half transparent texture: the pixels drawn twice would be more opaque
+    let texture = { width: 1, height: 1, data: [255, 0, 0, 128] };
+    let rasterizer = new Rasterizer(10, 10);
+    rasterizer.drawMesh(patch.tessellate(4, 4, "bezier"), texture);
+
+    let data = rasterizer.toImageData().data;
+    for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) {
+            // The image rows go top to bottom, so the mesh covers the 8 bottom rows
+            let inside = x < 8 && y >= 2;
+            assert.strictEqual(data[(y * 10 + x) * 4 + 3], inside ? 128 : 0, `pixel ${x}, ${y}`);
+        }
+    }
+});
+
+test("drawTriangle interpolates the texture coordinates", () => {
+    // Red on the left, blue on the right
+    let texture = { width: 2, height: 1, data: [255, 0, 0, 255, 0, 0, 255, 255] };
+    let rasterizer = new Rasterizer(4, 4);
+    rasterizer.drawTriangle(0, 0, 0, 1, 4, 0, 1, 1, 4, 4, 1, 0, texture);
+    rasterizer.drawTriangle(0, 0, 0, 1, 4, 4, 1, 0, 0, 4, 0, 0, texture);
+
+    let data = rasterizer.toImageData().data;
+    for (let y = 0; y < 4; y++) {
+        let row = [0, 1, 2, 3].map(x => data.slice((y * 4 + x) * 4, (y * 4 + x) * 4 + 4));
+        assert.deepStrictEqual(Array.from(row[0]), [255, 0, 0, 255]);
+        assert.deepStrictEqual(Array.from(row[3]), [0, 0, 255, 255]);
+        assert.ok(row[1][0] > row[2][0] && row[1][2] < row[2][2], `row ${y}`);
+    }
+});